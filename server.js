@@ -5,23 +5,40 @@ import bodyParser from "body-parser";
 import dotenv from "dotenv";
 import cors from "cors";
 import nodemailer from 'nodemailer';
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
 import { MongoClient } from 'mongodb';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 dotenv.config();
 const app = express();
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Idempotent-Replayed'] }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
 const PORT = process.env.PORT || 5000;
 
 // -------------------
-// 0. MongoDB Connection and Booked Slots Storage
+// 0. MongoDB Connection and Bookings Storage
 // -------------------
 let db;
-let bookedSlotsCollection;
+let bookingsCollection;
+let slotHoldsCollection;
+let idempotencyKeysCollection;
+let availabilityRulesCollection;
+let availabilityOverridesCollection;
+let blackoutsCollection;
+let remindersCollection;
+let emailsCollection;
+let emailTemplatesCollection;
+
+// Bookings in these states occupy their slot; anything else (e.g. cancelled) frees it.
+// 'pending' is a slot reserved while its Teams meeting is being created.
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
 
 // Connect to MongoDB
 async function connectToMongoDB() {
@@ -29,12 +46,47 @@ async function connectToMongoDB() {
     const client = new MongoClient(process.env.MONGO_URI);
     await client.connect();
     db = client.db('thrive-website');
-    bookedSlotsCollection = db.collection('bookedSlots');
+    bookingsCollection = db.collection('bookings');
+    slotHoldsCollection = db.collection('slotHolds');
+    idempotencyKeysCollection = db.collection('idempotencyKeys');
+    availabilityRulesCollection = db.collection('availabilityRules');
+    availabilityOverridesCollection = db.collection('availabilityOverrides');
+    blackoutsCollection = db.collection('blackouts');
+    remindersCollection = db.collection('reminders');
+    emailsCollection = db.collection('emails');
+    emailTemplatesCollection = db.collection('emailTemplates');
     console.log('✅ Connected to MongoDB successfully');
     
-    // Create index for better performance
-    await bookedSlotsCollection.createIndex({ date: 1, time: 1 }, { unique: true });
+    // Create indexes for better performance
+    await bookingsCollection.createIndex({ bookingId: 1 }, { unique: true });
+    await bookingsCollection.createIndex({ date: 1, time: 1, status: 1 });
+    await bookingsCollection.createIndex({ organizerEmail: 1, date: 1 });
+    // Active bookings carry slotKeys; the unique multikey index is what stops two
+    // bookings (from any server instance) claiming the same slot
+    await bookingsCollection.createIndex(
+      { slotKeys: 1 },
+      { unique: true, partialFilterExpression: { slotKeys: { $exists: true } } }
+    );
+    await slotHoldsCollection.createIndex({ holdToken: 1 }, { unique: true });
+    await slotHoldsCollection.createIndex({ slotKeys: 1 }, { unique: true });
+    await slotHoldsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await idempotencyKeysCollection.createIndex({ scopedKey: 1 }, { unique: true });
+    await idempotencyKeysCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await availabilityOverridesCollection.createIndex({ date: 1 }, { unique: true });
+    await blackoutsCollection.createIndex({ blackoutId: 1 }, { unique: true });
+    await blackoutsCollection.createIndex({ startDate: 1, endDate: 1 });
+    await blackoutsCollection.createIndex({ uid: 1 }, { unique: true, sparse: true });
+    await remindersCollection.createIndex({ reminderId: 1 }, { unique: true });
+    await remindersCollection.createIndex({ status: 1, sendAt: 1 });
+    await remindersCollection.createIndex({ bookingId: 1 });
+    await emailsCollection.createIndex({ emailId: 1 }, { unique: true });
+    await emailsCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+    await emailsCollection.createIndex({ bookingId: 1, createdAt: -1 });
+    await emailTemplatesCollection.createIndex({ name: 1, version: 1 }, { unique: true });
+    await emailTemplatesCollection.createIndex({ active: 1 });
     console.log('✅ MongoDB indexes created');
+    await importLegacyBookedSlots();
+    await migrateLegacySlotKeys();
   } catch (error) {
     console.error('❌ MongoDB connection error:', error);
     // Fallback to in-memory storage if MongoDB fails
@@ -42,212 +94,1737 @@ async function connectToMongoDB() {
   }
 }
 
-// MongoDB-based booked slots functions
-async function addBookedSlot(date, time) {
-  try {
-    if (bookedSlotsCollection) {
-      await bookedSlotsCollection.insertOne({
-        date: date,
-        time: time,
-        createdAt: new Date(),
-        updatedAt: new Date()
-      });
-      console.log(`📅 Booked slot added to MongoDB: ${date} at ${time}`);
-    } else {
-      // Fallback to in-memory storage
-      if (!global.bookedSlots) global.bookedSlots = new Map();
-      if (!global.bookedSlots.has(date)) {
-        global.bookedSlots.set(date, new Set());
-      }
-      global.bookedSlots.get(date).add(time);
-      console.log(`📅 Booked slot added to memory: ${date} at ${time}`);
+function getMemoryBookings() {
+  if (!global.bookings) global.bookings = new Map();
+  return global.bookings;
+}
+
+// Bookings and holds are tracked on a fixed grid of cells, so meetings of different
+// lengths (and slot sizes) can be checked against each other
+const SLOT_CELL_MINUTES = 15;
+
+function timeToMinutes(time24h) {
+  const [hours, minutes] = time24h.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function minutesToTime(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+}
+
+// Keys for every slot cell a meeting starting at `time` occupies. Keys are per organizer,
+// so organizers in a pool can be booked at the same time.
+function buildSlotKeys(date, time, durationMinutes = 30, organizerEmail) {
+  const start = timeToMinutes(time);
+  const prefix = organizerEmail ? `${organizerEmail.toLowerCase()}|` : '';
+  const keys = [];
+  for (let minute = start - (start % SLOT_CELL_MINUTES); minute < start + durationMinutes; minute += SLOT_CELL_MINUTES) {
+    keys.push(`${prefix}${date}T${minutesToTime(minute)}`);
+  }
+  return keys;
+}
+
+// Intervals are { start, end } in minutes after midnight
+function overlapsAny(intervals, start, end) {
+  return intervals.some(interval => interval.start < end && start < interval.end);
+}
+
+// Buffers stored on a booking or hold; older records use their meeting type's current buffers
+function getIntervalBuffers(record) {
+  const meetingType = getMeetingType(record.meetingType || DEFAULT_MEETING_TYPE);
+  return {
+    bufferBefore: record.bufferBeforeMinutes ?? meetingType?.bufferBeforeMinutes ?? 0,
+    bufferAfter: record.bufferAfterMinutes ?? meetingType?.bufferAfterMinutes ?? 0
+  };
+}
+
+// Meeting time plus its meeting type's buffers, in minutes after midnight
+function buildSlotInterval(time24h, meetingType) {
+  const start = timeToMinutes(time24h);
+  return {
+    start: start,
+    end: start + meetingType.durationMinutes,
+    bufferBefore: meetingType.bufferBeforeMinutes || 0,
+    bufferAfter: meetingType.bufferAfterMinutes || 0
+  };
+}
+
+// A slot clashes with a meeting when either one overlaps the other's buffers
+function clashesAny(intervals, slot) {
+  return intervals.some(interval =>
+    (interval.start < slot.end + slot.bufferAfter && slot.start - slot.bufferBefore < interval.end) ||
+    (interval.start - (interval.bufferBefore || 0) < slot.end && slot.start < interval.end + (interval.bufferAfter || 0))
+  );
+}
+
+// Errors raised when a slot is already claimed look the same for MongoDB and memory storage
+function createSlotConflictError(slotKey) {
+  const error = new Error(`Slot already booked: ${slotKey}`);
+  error.code = 11000;
+  return error;
+}
+
+function isSlotConflictError(error) {
+  return error?.code === 11000;
+}
+
+function assertMemorySlotsFree(slotKeys, bookingId) {
+  for (const other of getMemoryBookings().values()) {
+    if (other.bookingId === bookingId || !other.slotKeys) continue;
+    const clash = other.slotKeys.find(key => slotKeys.includes(key));
+    if (clash) throw createSlotConflictError(clash);
+  }
+}
+
+// MongoDB-based booking functions
+// Inserting the booking claims its slot; throws a slot conflict error if the slot is taken
+async function createBooking(bookingData) {
+  const now = new Date();
+  const booking = {
+    bookingId: crypto.randomUUID(),
+    status: 'pending',
+    ...bookingData,
+    slotKeys: buildSlotKeys(bookingData.date, bookingData.time, bookingData.durationMinutes, bookingData.organizerEmail),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  if (bookingsCollection) {
+    await bookingsCollection.insertOne({ ...booking });
+    console.log(`📅 Booking ${booking.bookingId} saved to MongoDB: ${booking.date} at ${booking.time}`);
+  } else {
+    // Fallback to in-memory storage (check and insert run without yielding, so they are atomic)
+    assertMemorySlotsFree(booking.slotKeys, booking.bookingId);
+    getMemoryBookings().set(booking.bookingId, booking);
+    console.log(`📅 Booking ${booking.bookingId} saved to memory: ${booking.date} at ${booking.time}`);
+  }
+
+  return booking;
+}
+
+// Slots booked before full booking records were kept live in the old bookedSlots collection, which
+// is no longer read. Copy the upcoming ones into bookings so they stay taken. They have no organizer,
+// so they block the slot for every organizer. Safe to run on every start: each slot is copied once.
+async function importLegacyBookedSlots() {
+  const legacySlots = await db.collection('bookedSlots').find({ date: { $gte: getBusinessNow().date } }).toArray();
+
+  let imported = 0;
+  for (const slot of legacySlots) {
+    const now = new Date();
+    const result = await bookingsCollection.updateOne(
+      { bookingId: `legacy-${slot.date}T${slot.time}` },
+      {
+        $setOnInsert: {
+          status: 'confirmed',
+          date: slot.date,
+          time: slot.time,
+          endTime: minutesToTime(timeToMinutes(slot.time) + 30),
+          durationMinutes: 30,
+          timezone: BUSINESS_TIMEZONE,
+          source: 'bookedSlots',
+          createdAt: slot.createdAt || now,
+          updatedAt: now
+        }
+      },
+      { upsert: true }
+    );
+    if (result.upsertedCount > 0) imported++;
+  }
+  if (imported > 0) {
+    console.log(`📥 Imported ${imported} slot(s) from the legacy bookedSlots collection`);
+  }
+}
+
+// Bookings made before slot keys were per organizer still hold date-only keys. Re-key them under
+// their organizer so the unique index keeps guarding them.
+async function migrateLegacySlotKeys() {
+  const legacyBookings = await bookingsCollection
+    .find({ 'slotKeys.0': { $exists: true, $not: /\|/ }, organizerEmail: { $exists: true } })
+    .project({ bookingId: 1, date: 1, time: 1, durationMinutes: 1, organizerEmail: 1 })
+    .toArray();
+
+  for (const booking of legacyBookings) {
+    await bookingsCollection.updateOne(
+      { bookingId: booking.bookingId },
+      { $set: { slotKeys: buildSlotKeys(booking.date, booking.time, booking.durationMinutes || 30, booking.organizerEmail) } }
+    );
+  }
+  if (legacyBookings.length > 0) {
+    console.log(`🔑 Re-keyed ${legacyBookings.length} booking(s) to per-organizer slot keys`);
+  }
+}
+
+async function getBooking(bookingId) {
+  if (bookingsCollection) {
+    return bookingsCollection.findOne({ bookingId: bookingId }, { projection: { _id: 0 } });
+  }
+  // Fallback to in-memory storage
+  return getMemoryBookings().get(bookingId) || null;
+}
+
+// With onlyIfActive, the update is skipped (returns null) unless the booking still holds its slot.
+// Fields set to undefined are removed. Changing slotKeys throws a slot conflict error if the new slot is taken.
+async function updateBooking(bookingId, updates, { onlyIfActive = false } = {}) {
+  const changes = { ...updates, updatedAt: new Date() };
+  const removed = Object.keys(changes).filter(key => changes[key] === undefined);
+  removed.forEach(key => delete changes[key]);
+
+  if (bookingsCollection) {
+    const filter = { bookingId: bookingId };
+    if (onlyIfActive) filter.status = { $in: ACTIVE_BOOKING_STATUSES };
+    const update = { $set: changes };
+    if (removed.length > 0) {
+      update.$unset = Object.fromEntries(removed.map(key => [key, '']));
     }
-  } catch (error) {
-    console.error('Error adding booked slot:', error);
+    return bookingsCollection.findOneAndUpdate(
+      filter,
+      update,
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
   }
+
+  // Fallback to in-memory storage
+  const booking = getMemoryBookings().get(bookingId);
+  if (!booking) return null;
+  if (onlyIfActive && !ACTIVE_BOOKING_STATUSES.includes(booking.status)) return null;
+  if (changes.slotKeys) assertMemorySlotsFree(changes.slotKeys, bookingId);
+  Object.assign(booking, changes);
+  removed.forEach(key => delete booking[key]);
+  return booking;
 }
 
-async function removeBookedSlot(date, time) {
+// Slot keys only cover a meeting's own cells, so buffers and meeting limits are checked before a slot
+// is claimed and two requests can both pass those checks. Once a booking holds its slot, look again:
+// returns why the organizer's other bookings now rule it out, or null. `organizer` carries the limits
+// that were checked before the claim. When two claims race, at worst both give up; they can't both stay.
+async function findClaimConflict(booking, meetingType, organizer = { email: booking.organizerEmail }) {
+  const start = timeToMinutes(booking.time);
+  const { bufferBefore, bufferAfter } = getIntervalBuffers(booking);
+  const slot = { start, end: start + (booking.durationMinutes || 30), bufferBefore, bufferAfter };
+  const [bookedIntervals, limitsByDate] = await Promise.all([
+    getBookedIntervals(booking.date),
+    getLimitReachedByDate(booking.date, booking.date, [organizer], meetingType, booking.bookingId)
+  ]);
+  const others = bookedIntervals.filter(interval =>
+    interval.bookingId !== booking.bookingId &&
+    (!interval.organizerEmail || sameEmail(interval.organizerEmail, booking.organizerEmail)));
+  if (clashesAny(others, slot)) return 'Within buffer of another meeting';
+  return limitsByDate.get(booking.date).get(organizer.email.toLowerCase()) || null;
+}
+
+// Create a booking and keep it only if nothing claimed a clashing slot at the same time (see findClaimConflict).
+// Throws a slot conflict error otherwise, like createBooking does when the slot itself is taken.
+async function reserveBooking(bookingData, meetingType, organizer) {
+  const booking = await createBooking(bookingData);
+  let conflict;
   try {
-    if (bookedSlotsCollection) {
-      await bookedSlotsCollection.deleteOne({ date: date, time: time });
-      console.log(`📅 Booked slot removed from MongoDB: ${date} at ${time}`);
-    } else {
-      // Fallback to in-memory storage
-      if (global.bookedSlots && global.bookedSlots.has(date)) {
-        global.bookedSlots.get(date).delete(time);
-        console.log(`📅 Booked slot removed from memory: ${date} at ${time}`);
-      }
-    }
+    conflict = await findClaimConflict(booking, meetingType, organizer);
   } catch (error) {
-    console.error('Error removing booked slot:', error);
+    // Release the slot rather than leave it held by a booking that will never be confirmed
+    await updateBooking(booking.bookingId, { status: 'failed', slotKeys: undefined, failureReason: error.message });
+    throw error;
   }
+  if (conflict) {
+    await updateBooking(booking.bookingId, { status: 'failed', slotKeys: undefined, failureReason: conflict });
+    throw createSlotConflictError(`${booking.date}T${booking.time} (${conflict})`);
+  }
+  return booking;
 }
 
 async function getBookedSlots(date) {
+  return (await getBookedIntervals(date)).map(interval => interval.time);
+}
+
+// Group records by their `date` field into a Map of date -> mapped records
+function groupByDate(records, mapRecord) {
+  const byDate = new Map();
+  for (const record of records) {
+    if (!byDate.has(record.date)) byDate.set(record.date, []);
+    byDate.get(record.date).push(mapRecord(record));
+  }
+  return byDate;
+}
+
+// Start/end of every active booking between two dates (inclusive), by date, fetched in one query
+async function getBookedIntervalsByDate(fromDate, toDate) {
   try {
-    if (bookedSlotsCollection) {
-      const slots = await bookedSlotsCollection.find({ date: date }).toArray();
-      return slots.map(slot => slot.time);
+    let bookings;
+    if (bookingsCollection) {
+      bookings = await bookingsCollection
+        .find({ date: { $gte: fromDate, $lte: toDate }, status: { $in: ACTIVE_BOOKING_STATUSES } })
+        .project({ bookingId: 1, date: 1, time: 1, durationMinutes: 1, organizerEmail: 1, meetingType: 1, bufferBeforeMinutes: 1, bufferAfterMinutes: 1 })
+        .toArray();
     } else {
       // Fallback to in-memory storage
-      if (!global.bookedSlots) global.bookedSlots = new Map();
-      return global.bookedSlots.has(date) ? Array.from(global.bookedSlots.get(date)) : [];
+      bookings = Array.from(getMemoryBookings().values())
+        .filter(booking => booking.date >= fromDate && booking.date <= toDate && ACTIVE_BOOKING_STATUSES.includes(booking.status));
     }
+    return groupByDate(bookings, booking => ({
+      bookingId: booking.bookingId,
+      organizerEmail: booking.organizerEmail,
+      time: booking.time,
+      start: timeToMinutes(booking.time),
+      // Bookings made before meeting types existed were all 30-minute discovery calls
+      end: timeToMinutes(booking.time) + (booking.durationMinutes || 30),
+      ...getIntervalBuffers(booking)
+    }));
   } catch (error) {
     console.error('Error getting booked slots:', error);
-    return [];
+    return new Map();
+  }
+}
+
+// Start/end of every active booking on a date
+async function getBookedIntervals(date) {
+  return (await getBookedIntervalsByDate(date, date)).get(date) || [];
+}
+
+// -------------------
+// 0.1. Signed Booking Links
+// -------------------
+const BOOKING_LINK_SECRET = process.env.BOOKING_LINK_SECRET || process.env.CLIENT_SECRET || 'thrive-dev-booking-link-secret';
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+if (!process.env.BOOKING_LINK_SECRET) {
+  console.log('⚠️ BOOKING_LINK_SECRET not configured, falling back to a derived secret for booking links');
+}
+
+// HMAC over the booking id and the action, so a cancel token cannot be reused for another booking or action
+function signBookingToken(bookingId, action) {
+  return crypto
+    .createHmac('sha256', BOOKING_LINK_SECRET)
+    .update(`${bookingId}:${action}`)
+    .digest('base64url');
+}
+
+function verifyBookingToken(bookingId, action, token) {
+  if (!token || typeof token !== 'string') return false;
+  const expected = Buffer.from(signBookingToken(bookingId, action));
+  const provided = Buffer.from(token);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+function buildBookingActionUrl(bookingId, action) {
+  const token = signBookingToken(bookingId, action);
+  return `${PUBLIC_BASE_URL}/api/bookings/${encodeURIComponent(bookingId)}/${action}?token=${token}`;
+}
+
+// Link to GET /api/bookings/:id for the visitor who made the booking
+function buildBookingViewUrl(bookingId) {
+  return `${PUBLIC_BASE_URL}/api/bookings/${encodeURIComponent(bookingId)}?token=${signBookingToken(bookingId, 'view')}`;
+}
+
+// What a booking link may reveal: the meeting itself, but no client details, guest list,
+// email log, slot keys, feedback, outcome or attendance
+function toPublicBooking(booking) {
+  return {
+    bookingId: booking.bookingId,
+    status: booking.status,
+    meetingType: booking.meetingType,
+    date: booking.date,
+    time: booking.time,
+    endTime: booking.endTime,
+    durationMinutes: booking.durationMinutes,
+    timezone: booking.timezone,
+    visitorTimezone: booking.visitorTimezone,
+    startDateTime: booking.startDateTime,
+    endDateTime: booking.endDateTime,
+    organizerName: booking.organizerName,
+    meeting: booking.meeting ? { subject: booking.meeting.subject, joinUrl: booking.meeting.joinUrl } : null,
+    cancelledAt: booking.cancelledAt,
+    createdAt: booking.createdAt,
+    updatedAt: booking.updatedAt
+  };
+}
+
+// -------------------
+// 0.2. Slot Holds
+// -------------------
+// Short-lived reservations placed while a visitor fills in the booking form
+const SLOT_HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES, 10) || 10;
+
+function getMemorySlotHolds() {
+  if (!global.slotHolds) global.slotHolds = new Map();
+  // Expire holds lazily, mirroring the TTL index in MongoDB
+  const now = new Date();
+  for (const [token, hold] of global.slotHolds) {
+    if (hold.expiresAt <= now) global.slotHolds.delete(token);
   }
+  return global.slotHolds;
 }
 
-async function isSlotBooked(date, time) {
+// Place a hold on an organizer's slot; throws a slot conflict error if another hold already covers it
+async function createSlotHold(date, time, meetingType, organizer) {
+  const now = new Date();
+  const hold = {
+    holdToken: crypto.randomBytes(24).toString('base64url'),
+    date: date,
+    time: time,
+    meetingType: meetingType.key,
+    durationMinutes: meetingType.durationMinutes,
+    bufferBeforeMinutes: meetingType.bufferBeforeMinutes,
+    bufferAfterMinutes: meetingType.bufferAfterMinutes,
+    organizerEmail: organizer.email,
+    organizerName: organizer.name,
+    slotKeys: buildSlotKeys(date, time, meetingType.durationMinutes, organizer.email),
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + SLOT_HOLD_MINUTES * 60000)
+  };
+
+  if (slotHoldsCollection) {
+    // The TTL monitor only runs periodically, so clear expired holds that would still trip the unique index
+    await slotHoldsCollection.deleteMany({ slotKeys: { $in: hold.slotKeys }, expiresAt: { $lte: now } });
+    await slotHoldsCollection.insertOne({ ...hold });
+  } else {
+    const holds = getMemorySlotHolds();
+    for (const other of holds.values()) {
+      const clash = other.slotKeys.find(key => hold.slotKeys.includes(key));
+      if (clash) throw createSlotConflictError(clash);
+    }
+    holds.set(hold.holdToken, hold);
+  }
+
+  console.log(`⏳ Slot held until ${hold.expiresAt.toISOString()}: ${date} at ${time}`);
+  return hold;
+}
+
+async function getSlotHold(holdToken) {
+  if (slotHoldsCollection) {
+    return slotHoldsCollection.findOne(
+      { holdToken: holdToken, expiresAt: { $gt: new Date() } },
+      { projection: { _id: 0 } }
+    );
+  }
+  return getMemorySlotHolds().get(holdToken) || null;
+}
+
+async function releaseSlotHold(holdToken) {
+  if (slotHoldsCollection) {
+    const result = await slotHoldsCollection.deleteOne({ holdToken: holdToken });
+    return result.deletedCount > 0;
+  }
+  return getMemorySlotHolds().delete(holdToken);
+}
+
+// Intervals covered by unexpired holds between two dates (inclusive), by date,
+// ignoring the hold identified by exceptHoldToken
+async function getHeldIntervalsByDate(fromDate, toDate, exceptHoldToken) {
   try {
-    if (bookedSlotsCollection) {
-      const slot = await bookedSlotsCollection.findOne({ date: date, time: time });
-      return slot !== null;
+    let holds;
+    if (slotHoldsCollection) {
+      holds = await slotHoldsCollection
+        .find({ date: { $gte: fromDate, $lte: toDate }, expiresAt: { $gt: new Date() } })
+        .project({ date: 1, time: 1, durationMinutes: 1, holdToken: 1, organizerEmail: 1, meetingType: 1, bufferBeforeMinutes: 1, bufferAfterMinutes: 1 })
+        .toArray();
     } else {
-      // Fallback to in-memory storage
-      if (!global.bookedSlots) global.bookedSlots = new Map();
-      return global.bookedSlots.has(date) && global.bookedSlots.get(date).has(time);
+      holds = Array.from(getMemorySlotHolds().values()).filter(hold => hold.date >= fromDate && hold.date <= toDate);
     }
+    return groupByDate(holds.filter(hold => hold.holdToken !== exceptHoldToken), hold => ({
+      organizerEmail: hold.organizerEmail,
+      time: hold.time,
+      start: timeToMinutes(hold.time),
+      end: timeToMinutes(hold.time) + (hold.durationMinutes || 30),
+      ...getIntervalBuffers(hold)
+    }));
   } catch (error) {
-    console.error('Error checking if slot is booked:', error);
-    return false;
+    console.error('Error getting held slots:', error);
+    return new Map();
   }
 }
 
 // -------------------
-// 1. Get Access Token
+// 0.3. Idempotency Keys
 // -------------------
-async function getAccessToken() {
-  try {
-    console.log("🔑 Getting fresh access token...");
-    console.log("TENANT_ID", process.env.TENANT_ID, "CLIENT_ID", process.env.CLIENT_ID, "CLIENT_SECRET", process.env.CLIENT_SECRET);
-    // Check if Azure credentials are configured
-    if (!process.env.TENANT_ID || !process.env.CLIENT_ID || !process.env.CLIENT_SECRET) {
-      console.log('⚠️ Azure credentials not configured, using mock mode');
-      return 'mock-token';
-    }
+// Clients retrying a meeting-creating request send the same Idempotency-Key header;
+// the first response is stored and replayed instead of running the request again.
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+// A request still marked in progress after this long is assumed to have died with its server
+const IDEMPOTENCY_LOCK_TIMEOUT_MS = 2 * 60 * 1000;
 
-    const response = await axios.post(
-      `https://login.microsoftonline.com/${process.env.TENANT_ID}/oauth2/v2.0/token`,
-      new URLSearchParams({
-        grant_type: "client_credentials",
-        client_id: process.env.CLIENT_ID,
-        client_secret: process.env.CLIENT_SECRET,
-        scope: "https://graph.microsoft.com/.default",
-      }),
-      {
-        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+function getMemoryIdempotencyKeys() {
+  if (!global.idempotencyKeys) global.idempotencyKeys = new Map();
+  const now = new Date();
+  for (const [scopedKey, record] of global.idempotencyKeys) {
+    if (record.expiresAt <= now) global.idempotencyKeys.delete(scopedKey);
+  }
+  return global.idempotencyKeys;
+}
+
+// JSON with sorted object keys, so the same body always hashes the same way
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Claim a key for a new request. Returns null when claimed, otherwise the record already stored for it.
+async function claimIdempotencyKey(scopedKey, requestHash) {
+  const now = new Date();
+  const record = {
+    scopedKey: scopedKey,
+    requestHash: requestHash,
+    status: 'in_progress',
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+  };
+
+  if (idempotencyKeysCollection) {
+    try {
+      await idempotencyKeysCollection.insertOne({ ...record });
+      return null;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const existing = await idempotencyKeysCollection.findOne({ scopedKey: scopedKey });
+      if (existing && existing.status === 'in_progress' && now - existing.createdAt > IDEMPOTENCY_LOCK_TIMEOUT_MS) {
+        // Take over an abandoned request, unless another retry already did
+        const takeover = await idempotencyKeysCollection.updateOne(
+          { scopedKey: scopedKey, status: 'in_progress', createdAt: existing.createdAt },
+          { $set: record }
+        );
+        if (takeover.modifiedCount === 1) return null;
       }
+      return existing || null;
+    }
+  }
+
+  const keys = getMemoryIdempotencyKeys();
+  const existing = keys.get(scopedKey);
+  if (existing && !(existing.status === 'in_progress' && now - existing.createdAt > IDEMPOTENCY_LOCK_TIMEOUT_MS)) {
+    return existing;
+  }
+  keys.set(scopedKey, record);
+  return null;
+}
+
+async function completeIdempotencyKey(scopedKey, statusCode, body) {
+  if (idempotencyKeysCollection) {
+    await idempotencyKeysCollection.updateOne(
+      { scopedKey: scopedKey },
+      { $set: { status: 'completed', statusCode: statusCode, responseBody: body, completedAt: new Date() } }
     );
-    
-    console.log('✅ Access token obtained successfully');
-    console.log('🔑 Token expires in:', response.data.expires_in, 'seconds');
-    return response.data.access_token;
+    return;
+  }
+  const record = getMemoryIdempotencyKeys().get(scopedKey);
+  if (record) {
+    Object.assign(record, { status: 'completed', statusCode: statusCode, responseBody: body, completedAt: new Date() });
+  }
+}
+
+async function releaseIdempotencyKey(scopedKey) {
+  if (idempotencyKeysCollection) {
+    await idempotencyKeysCollection.deleteOne({ scopedKey: scopedKey });
+    return;
+  }
+  getMemoryIdempotencyKeys().delete(scopedKey);
+}
+
+// Express middleware for routes that create meetings or send emails
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({ error: "Idempotency-Key must be at most 255 characters" });
+  }
+
+  try {
+    const scopedKey = `${req.method} ${req.path} ${key}`;
+    const requestHash = crypto.createHash('sha256').update(stableStringify(req.body || {})).digest('hex');
+    const existing = await claimIdempotencyKey(scopedKey, requestHash);
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          error: "Idempotency-Key has already been used with a different request body",
+          idempotencyKey: key
+        });
+      }
+      if (existing.status === 'in_progress') {
+        return res.status(409).json({
+          error: "A request with this Idempotency-Key is still being processed",
+          idempotencyKey: key
+        });
+      }
+      console.log('🔁 Replaying stored response for Idempotency-Key:', key);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.responseBody);
+    }
+
+    // Store the first response. Server errors are not stored, so the client can retry them.
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const storeResult = res.statusCode >= 500
+        ? releaseIdempotencyKey(scopedKey)
+        : completeIdempotencyKey(scopedKey, res.statusCode, body);
+      storeResult.catch(error => console.error('Error storing idempotent response:', error));
+      return originalJson(body);
+    };
+
+    next();
   } catch (error) {
-    console.error("❌ Error getting access token:", error.response?.data || error.message);
-    console.log('⚠️ Using mock mode due to authentication error');
-    return 'mock-token';
+    console.error('Idempotency check failed:', error);
+    res.status(500).json({ error: "Internal server error", details: error.message });
   }
 }
 
 // -------------------
-// 2. Create Teams Meeting
+// 0.4. Meeting Types
 // -------------------
-async function createTeamsMeeting(subject, startTime, endTime, attendees, organizerEmail) {
-  try {
-    const token = await getAccessToken();
-
-    // If using mock mode, return mock data
-    if (token === 'mock-token') {
-      console.log('📝 Creating mock Teams meeting');
-      const meetingId = Math.random().toString(36).substring(2, 15);
-      return {
-        id: meetingId,
-        joinUrl: `https://teams.microsoft.com/l/meetup-join/19:meeting_${meetingId}@thread.v2/0?context={"Tid":"mock-tenant","Oid":"${organizerEmail}"}`,
-        startDateTime: startTime,
-        endDateTime: endTime,
-        subject: subject
-      };
+// Catalog of bookable meeting types. Durations and slot sizes must be multiples of SLOT_CELL_MINUTES.
+// Set MEETING_TYPES_FILE to a JSON file with the same shape to add types or override these defaults.
+const DEFAULT_MEETING_TYPES = {
+  discovery: {
+    name: "Discovery Call",
+    subject: "Discovery Call - Thrive",
+    description: "A short introductory call to understand your business and goals",
+    durationMinutes: 30,
+    slotIntervalMinutes: 30,
+    organizerEmail: null, // null = any organizer in the ORGANIZERS pool
+    templates: {
+      closingLine: "We're excited to discuss how we can help you thrive!",
+      organizerActions: [
+        "Review the client information above",
+        "Prepare for the discovery call",
+        "Join the meeting 5 minutes before the scheduled time",
+        "Follow up with the client after the call"
+      ]
+    }
+  },
+  strategy: {
+    name: "Strategy Session",
+    subject: "Strategy Session - Thrive",
+    description: "A working session to map out your growth strategy",
+    durationMinutes: 60,
+    slotIntervalMinutes: 30,
+    organizerEmail: null,
+    templates: {
+      closingLine: "We look forward to working through your growth strategy together!",
+      organizerActions: [
+        "Review the client information and any previous calls",
+        "Prepare a draft strategy outline",
+        "Join the meeting 5 minutes before the scheduled time",
+        "Share the session summary with the client afterwards"
+      ]
+    }
+  },
+  onboarding: {
+    name: "Onboarding Session",
+    subject: "Onboarding Session - Thrive",
+    description: "Getting you set up and introduced to the Thrive team",
+    durationMinutes: 45,
+    slotIntervalMinutes: 15,
+    organizerEmail: null,
+    templates: {
+      closingLine: "Welcome aboard - we can't wait to get started!",
+      organizerActions: [
+        "Review the client's signed scope of work",
+        "Prepare access and onboarding materials",
+        "Join the meeting 5 minutes before the scheduled time",
+        "Send the onboarding checklist after the call"
+      ]
     }
+  }
+};
 
-    // First, let's try to get the user ID for the organizer
-    let userId;
+const DEFAULT_MEETING_TYPE = 'discovery';
+
+function numberFromEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Scheduling limits applied to every meeting type unless the type sets its own:
+// free time kept before/after each meeting, how much notice is needed (counted in
+// open business hours) and how far ahead a meeting can be booked
+const SCHEDULING_DEFAULTS = {
+  bufferBeforeMinutes: numberFromEnv('BUFFER_BEFORE_MINUTES', 0),
+  bufferAfterMinutes: numberFromEnv('BUFFER_AFTER_MINUTES', 0),
+  minimumNoticeHours: numberFromEnv('MINIMUM_NOTICE_HOURS', 4),
+  maxAdvanceDays: numberFromEnv('MAX_ADVANCE_DAYS', 30)
+};
+
+function loadMeetingTypes() {
+  const meetingTypes = { ...DEFAULT_MEETING_TYPES };
+
+  if (process.env.MEETING_TYPES_FILE) {
     try {
-      console.log('🔍 Attempting to create meeting for organizer:', organizerEmail);
-      
-      // First, verify the user exists and get their details
-      const userResponse = await axios.get(
-        `https://graph.microsoft.com/v1.0/users/${organizerEmail}`,
-        {
-          headers: { 
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      
-      console.log('✅ User found:', userResponse.data.displayName);
-      userId = userResponse.data.id;
-      
-      // Check user's assigned licenses to see Teams services
-      try {
-        const licensesResponse = await axios.get(
-          `https://graph.microsoft.com/v1.0/users/${userId}/assignedLicenses`,
-          {
-            headers: { 
-              Authorization: `Bearer ${token}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-        console.log('📋 User licenses:', licensesResponse.data.value.map(license => ({
-          skuId: license.skuId,
-          disabledPlans: license.disabledPlans
-        })));
-      } catch (licenseError) {
-        console.log('⚠️ Could not check user licenses:', licenseError.response?.status);
+      const overrides = JSON.parse(fs.readFileSync(process.env.MEETING_TYPES_FILE, 'utf8'));
+      for (const [key, overrideType] of Object.entries(overrides)) {
+        meetingTypes[key] = { ...(meetingTypes[key] || {}), ...overrideType };
       }
-      
-      // Try multiple approaches to create the meeting
-      let meetingResponse;
-      
-      // Approach 1: Try using /users/{userId}/onlineMeetings
-      try {
-        console.log('🔄 Trying approach 1: /users/{userId}/onlineMeetings');
-        meetingResponse = await axios.post(
-          `https://graph.microsoft.com/v1.0/users/${userId}/onlineMeetings`,
-          {
-            subject: subject,
-            startDateTime: startTime,
-            endDateTime: endTime,
-            participants: {
-              attendees: attendees.map(email => ({
-                upn: email,
-                role: "attendee"
-              }))
-            }
-          },
-          {
-            headers: { 
-              Authorization: `Bearer ${token}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-        console.log('✅ Approach 1 successful');
-      } catch (error1) {
-        console.log('❌ Approach 1 failed:', error1.response?.status, error1.response?.data?.error?.message);
-        
-        // Approach 2: Try using /users/{userPrincipalName}/onlineMeetings
-        try {
-          console.log('🔄 Trying approach 2: /users/{userPrincipalName}/onlineMeetings');
-          meetingResponse = await axios.post(
-            `https://graph.microsoft.com/v1.0/users/${organizerEmail}/onlineMeetings`,
-            {
-              subject: subject,
-              startDateTime: startTime,
+      console.log('✅ Loaded meeting types from', process.env.MEETING_TYPES_FILE);
+    } catch (error) {
+      console.error('❌ Could not load MEETING_TYPES_FILE, using default meeting types:', error.message);
+    }
+  }
+
+  for (const [key, meetingType] of Object.entries(meetingTypes)) {
+    if (meetingType.durationMinutes % SLOT_CELL_MINUTES !== 0 || meetingType.slotIntervalMinutes % SLOT_CELL_MINUTES !== 0) {
+      console.error(`❌ Meeting type "${key}" ignored: duration and slot size must be multiples of ${SLOT_CELL_MINUTES} minutes`);
+      delete meetingTypes[key];
+    }
+  }
+
+  return meetingTypes;
+}
+
+const MEETING_TYPES = loadMeetingTypes();
+
+// Look up a meeting type by key; returns null for unknown types
+function getMeetingType(key = DEFAULT_MEETING_TYPE) {
+  const meetingType = MEETING_TYPES[key];
+  if (!meetingType) return null;
+  return {
+    key: key,
+    ...SCHEDULING_DEFAULTS,
+    ...meetingType,
+    organizerEmail: meetingType.organizerEmail || null,
+    templates: meetingType.templates || {}
+  };
+}
+
+function formatDuration(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  const parts = [];
+  if (hours > 0) parts.push(`${hours} hour${hours > 1 ? 's' : ''}`);
+  if (minutes > 0) parts.push(`${minutes} minutes`);
+  return parts.join(' ');
+}
+
+function unknownMeetingTypeResponse(meetingType) {
+  return {
+    error: "Unknown meeting type",
+    meetingType: meetingType,
+    availableMeetingTypes: Object.keys(MEETING_TYPES)
+  };
+}
+
+// -------------------
+// 0.5. Admin Authentication
+// -------------------
+// Admin endpoints require the ADMIN_API_KEY, sent as "Authorization: Bearer <key>" or "X-Admin-Key: <key>"
+function hasAdminKey(req) {
+  if (!process.env.ADMIN_API_KEY) return false;
+
+  const authorization = req.get('Authorization') || '';
+  const providedKey = req.get('X-Admin-Key') || (authorization.startsWith('Bearer ') ? authorization.slice(7) : '');
+  const expected = Buffer.from(process.env.ADMIN_API_KEY);
+  const provided = Buffer.from(providedKey);
+
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(503).json({ error: "Admin API is disabled. Set ADMIN_API_KEY to enable it." });
+  }
+
+  if (!hasAdminKey(req)) {
+    return res.status(401).json({ error: "Invalid or missing admin API key" });
+  }
+
+  next();
+}
+
+// Cron endpoints accept CRON_SECRET (sent by Vercel Cron as "Authorization: Bearer <secret>") or the ADMIN_API_KEY
+function requireCron(req, res, next) {
+  const secrets = [process.env.CRON_SECRET, process.env.ADMIN_API_KEY].filter(Boolean);
+  if (secrets.length === 0) {
+    return res.status(503).json({ error: "Cron endpoints are disabled. Set CRON_SECRET or ADMIN_API_KEY to enable them." });
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const provided = Buffer.from(req.get('X-Admin-Key') || (authorization.startsWith('Bearer ') ? authorization.slice(7) : ''));
+  const authorized = secrets.some(secret => {
+    const expected = Buffer.from(secret);
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  });
+
+  if (!authorized) {
+    return res.status(401).json({ error: "Invalid or missing cron secret" });
+  }
+
+  next();
+}
+
+// -------------------
+// 0.6. Availability Rules
+// -------------------
+// Bookable hours are stored as time windows per weekday (split shifts are several windows),
+// plus per-date overrides that replace a day's windows or close it entirely.
+const WEEKDAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DEFAULT_WEEKLY_AVAILABILITY = {
+  sunday: [],
+  monday: [{ start: '09:00', end: '18:00' }],
+  tuesday: [{ start: '09:00', end: '18:00' }],
+  wednesday: [{ start: '09:00', end: '18:00' }],
+  thursday: [{ start: '09:00', end: '18:00' }],
+  friday: [{ start: '09:00', end: '18:00' }],
+  saturday: []
+};
+
+function getMemoryAvailability() {
+  if (!global.availability) {
+    global.availability = {
+      weekly: JSON.parse(JSON.stringify(DEFAULT_WEEKLY_AVAILABILITY)),
+      overrides: new Map()
+    };
+  }
+  return global.availability;
+}
+
+async function getWeeklyAvailability() {
+  if (availabilityRulesCollection) {
+    const rules = await availabilityRulesCollection.findOne({ _id: 'weekly' });
+    return rules ? rules.weekly : DEFAULT_WEEKLY_AVAILABILITY;
+  }
+  return getMemoryAvailability().weekly;
+}
+
+async function setWeeklyAvailability(weekly) {
+  if (availabilityRulesCollection) {
+    await availabilityRulesCollection.updateOne(
+      { _id: 'weekly' },
+      { $set: { weekly: weekly, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  } else {
+    getMemoryAvailability().weekly = weekly;
+  }
+  console.log('📅 Weekly availability updated');
+}
+
+// Overrides between two dates (inclusive, YYYY-MM-DD), or all of them
+async function getAvailabilityOverrides(fromDate, toDate) {
+  const inRange = override => (!fromDate || override.date >= fromDate) && (!toDate || override.date <= toDate);
+
+  if (availabilityOverridesCollection) {
+    const filter = {};
+    if (fromDate || toDate) {
+      filter.date = {};
+      if (fromDate) filter.date.$gte = fromDate;
+      if (toDate) filter.date.$lte = toDate;
+    }
+    return availabilityOverridesCollection.find(filter, { projection: { _id: 0 } }).sort({ date: 1 }).toArray();
+  }
+  return Array.from(getMemoryAvailability().overrides.values())
+    .filter(inRange)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+async function setAvailabilityOverride(override) {
+  const record = { ...override, updatedAt: new Date() };
+  if (availabilityOverridesCollection) {
+    await availabilityOverridesCollection.updateOne({ date: override.date }, { $set: record }, { upsert: true });
+  } else {
+    getMemoryAvailability().overrides.set(override.date, record);
+  }
+  console.log(`📅 Availability override saved for ${override.date}`);
+  return record;
+}
+
+async function deleteAvailabilityOverride(date) {
+  if (availabilityOverridesCollection) {
+    const result = await availabilityOverridesCollection.deleteOne({ date: date });
+    return result.deletedCount > 0;
+  }
+  return getMemoryAvailability().overrides.delete(date);
+}
+
+function getDayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
+}
+
+// Resolve the bookable windows (in minutes after midnight) for one date.
+// A blackout (section 0.7) closes the date whatever the rules say.
+function resolveDateWindows(date, weekly, override, blackout) {
+  const dayOfWeek = getDayOfWeek(date);
+  const source = blackout ? 'blackout' : override ? 'override' : 'weekly';
+  const windows = blackout
+    ? []
+    : override
+      ? (override.closed ? [] : override.windows || [])
+      : weekly[WEEKDAY_KEYS[dayOfWeek]] || [];
+
+  return {
+    date: date,
+    dayOfWeek: dayOfWeek,
+    source: source,
+    reason: blackout ? describeBlackout(blackout) : override?.reason || null,
+    blackout: blackout || null,
+    windows: windows.map(window => ({ start: timeToMinutes(window.start), end: timeToMinutes(window.end) }))
+  };
+}
+
+async function getDateAvailability(date) {
+  const [weekly, overrides, blackouts] = await Promise.all([
+    getWeeklyAvailability(),
+    getAvailabilityOverrides(date, date),
+    getBlackouts(date, date)
+  ]);
+  return resolveDateWindows(date, weekly, overrides[0], blackouts[0]);
+}
+
+// Resolved availability for every date from fromDate to toDate (inclusive), keyed by date,
+// using one query each for the weekly rules, overrides and blackouts
+async function getAvailabilityForRange(fromDate, toDate) {
+  const [weekly, overrides, blackouts] = await Promise.all([
+    getWeeklyAvailability(),
+    getAvailabilityOverrides(fromDate, toDate),
+    getBlackouts(fromDate, toDate)
+  ]);
+
+  const days = new Map();
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    const override = overrides.find(candidate => candidate.date === date);
+    const blackout = blackouts.find(candidate => candidate.startDate <= date && candidate.endDate >= date);
+    days.set(date, resolveDateWindows(date, weekly, override, blackout));
+  }
+  return days;
+}
+
+// A meeting fits when it lies entirely inside one window
+function fitsInWindows(windows, start, end) {
+  return windows.some(window => window.start <= start && end <= window.end);
+}
+
+function describeWindows(windows) {
+  if (windows.length === 0) return 'Closed';
+  return windows
+    .map(window => `${formatTimeForEmail(minutesToTime(window.start))} - ${formatTimeForEmail(minutesToTime(window.end))}`)
+    .join(', ');
+}
+
+// Human-readable summary of the weekly rules, grouping consecutive days with the same hours
+function describeWeeklyAvailability(weekly) {
+  const dayLabel = key => key.charAt(0).toUpperCase() + key.slice(1);
+  const order = [1, 2, 3, 4, 5, 6, 0].map(index => WEEKDAY_KEYS[index]);
+  const groups = [];
+
+  for (const key of order) {
+    const hours = describeWindows((weekly[key] || []).map(window => ({ start: timeToMinutes(window.start), end: timeToMinutes(window.end) })));
+    const last = groups[groups.length - 1];
+    if (last && last.hours === hours) {
+      last.days.push(key);
+    } else {
+      groups.push({ hours: hours, days: [key] });
+    }
+  }
+
+  return groups
+    .filter(group => group.hours !== 'Closed')
+    .map(group => {
+      const days = group.days.length > 1
+        ? `${dayLabel(group.days[0])}-${dayLabel(group.days[group.days.length - 1])}`
+        : dayLabel(group.days[0]);
+      return `${group.hours} (${days})`;
+    })
+    .join('; ') || 'Closed';
+}
+
+// Validate a list of { start, end } windows; returns an error message or null
+function validateWindows(windows) {
+  if (!Array.isArray(windows)) return 'windows must be an array of { start, end } objects';
+  const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const sorted = [...windows].sort((a, b) => String(a.start).localeCompare(String(b.start)));
+
+  for (let i = 0; i < sorted.length; i++) {
+    const window = sorted[i];
+    if (!timeRegex.test(window.start) || !(timeRegex.test(window.end) || window.end === '24:00')) {
+      return `Invalid window ${JSON.stringify(window)}: use HH:MM (24-hour) times`;
+    }
+    if (window.start >= window.end) {
+      return `Invalid window ${window.start}-${window.end}: start must be before end`;
+    }
+    if (i > 0 && sorted[i - 1].end > window.start) {
+      return `Windows ${sorted[i - 1].start}-${sorted[i - 1].end} and ${window.start}-${window.end} overlap`;
+    }
+  }
+  return null;
+}
+
+// Keep only start/end, in chronological order
+function normalizeWindows(windows) {
+  return windows
+    .map(window => ({ start: window.start, end: window.end }))
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// Dates like 2026-02-30 parse but roll over into the next month, so the date has to survive a round trip
+function isValidDateString(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+}
+
+// -------------------
+// 0.7. Blackout Dates
+// -------------------
+// Holidays and company closures. A blackout covers startDate..endDate (inclusive, YYYY-MM-DD)
+// and closes those dates regardless of the availability rules.
+const BLACKOUT_TYPE_LABELS = {
+  holiday: 'Public holiday',
+  offsite: 'Company off-site',
+  closure: 'Office closed'
+};
+
+function getMemoryBlackouts() {
+  if (!global.blackouts) {
+    global.blackouts = new Map();
+  }
+  return global.blackouts;
+}
+
+function describeBlackout(blackout) {
+  return `${BLACKOUT_TYPE_LABELS[blackout.type] || 'Blackout'}: ${blackout.name}`;
+}
+
+// Blackouts overlapping fromDate..toDate (inclusive), or all of them
+async function getBlackouts(fromDate, toDate) {
+  if (blackoutsCollection) {
+    const filter = {};
+    if (toDate) filter.startDate = { $lte: toDate };
+    if (fromDate) filter.endDate = { $gte: fromDate };
+    return blackoutsCollection.find(filter, { projection: { _id: 0 } }).sort({ startDate: 1 }).toArray();
+  }
+  return Array.from(getMemoryBlackouts().values())
+    .filter(blackout => (!toDate || blackout.startDate <= toDate) && (!fromDate || blackout.endDate >= fromDate))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+async function getBlackout(blackoutId) {
+  if (blackoutsCollection) {
+    return blackoutsCollection.findOne({ blackoutId: blackoutId }, { projection: { _id: 0 } });
+  }
+  return getMemoryBlackouts().get(blackoutId) || null;
+}
+
+async function createBlackout({ startDate, endDate, name, type, source = 'manual', uid }) {
+  const blackout = {
+    blackoutId: crypto.randomUUID(),
+    startDate: startDate,
+    endDate: endDate || startDate,
+    name: name,
+    type: type || 'holiday',
+    source: source,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+  if (uid) blackout.uid = uid;
+
+  if (blackoutsCollection) {
+    await blackoutsCollection.insertOne({ ...blackout });
+  } else {
+    getMemoryBlackouts().set(blackout.blackoutId, blackout);
+  }
+
+  console.log(`🚫 Blackout added: ${describeBlackout(blackout)} (${blackout.startDate} - ${blackout.endDate})`);
+  return blackout;
+}
+
+async function updateBlackout(blackoutId, updates) {
+  const changes = { ...updates, updatedAt: new Date() };
+
+  if (blackoutsCollection) {
+    return blackoutsCollection.findOneAndUpdate(
+      { blackoutId: blackoutId },
+      { $set: changes },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+  }
+
+  const blackout = getMemoryBlackouts().get(blackoutId);
+  if (!blackout) return null;
+  Object.assign(blackout, changes);
+  return blackout;
+}
+
+async function deleteBlackout(blackoutId) {
+  if (blackoutsCollection) {
+    const result = await blackoutsCollection.deleteOne({ blackoutId: blackoutId });
+    return result.deletedCount > 0;
+  }
+  return getMemoryBlackouts().delete(blackoutId);
+}
+
+// Re-importing the same calendar updates events by their UID instead of duplicating them
+async function importBlackout(event, type) {
+  const existing = blackoutsCollection
+    ? await blackoutsCollection.findOne({ uid: event.uid }, { projection: { _id: 0 } })
+    : Array.from(getMemoryBlackouts().values()).find(blackout => blackout.uid === event.uid);
+
+  if (existing) {
+    await updateBlackout(existing.blackoutId, { startDate: event.startDate, endDate: event.endDate, name: event.name, type: type });
+    return { blackoutId: existing.blackoutId, created: false };
+  }
+
+  const blackout = await createBlackout({ ...event, type: type, source: 'ics' });
+  return { blackoutId: blackout.blackoutId, created: true };
+}
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+// Read an ICS DATE or DATE-TIME value as a business-timezone date (YYYY-MM-DD).
+// Exclusive end values (all-day DTEND, or a DTEND at midnight) are moved back one day.
+// Local times are read in their TZID zone, or the business timezone without one; null for an unknown TZID.
+function parseIcsDate(value, isEnd, tzid) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (!hours) {
+    const date = `${year}-${month}-${day}`;
+    return isEnd ? addDays(date, -1) : date;
+  }
+
+  let instant;
+  if (utc || !tzid) {
+    instant = new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}${utc ? 'Z' : '+05:30'}`);
+  } else {
+    if (!isValidTimeZone(tzid)) return null;
+    const local = zonedTimeToInstant(`${year}-${month}-${day}`, `${hours}:${minutes}`, tzid);
+    if (!local) return null;
+    instant = new Date(local.getTime() + Number(seconds) * 1000);
+  }
+  if (isEnd) instant = new Date(instant.getTime() - 1000);
+  return instant.toLocaleDateString('en-CA', { timeZone: BUSINESS_TIMEZONE });
+}
+
+// Minimal iCalendar (RFC 5545) reader: returns { uid, name, startDate, endDate } for each VEVENT.
+// Recurrence rules are not expanded; holiday calendars list each year's dates as separate events.
+function parseIcsEvents(icsText) {
+  const lines = icsText.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const unescape = text => text.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+  const events = [];
+  const errors = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (!current) continue;
+      const startDate = current.DTSTART && parseIcsDate(current.DTSTART, false, current.DTSTART_TZID);
+      const endDate = current.DTEND ? parseIcsDate(current.DTEND, true, current.DTEND_TZID) : startDate;
+      if (!startDate || !current.SUMMARY) {
+        errors.push(`Skipped event ${current.UID || '(no UID)'}: missing or invalid DTSTART/SUMMARY`);
+      } else if (current.DTEND && !endDate) {
+        errors.push(`Skipped event ${current.UID || '(no UID)'}: invalid DTEND`);
+      } else {
+        events.push({
+          uid: current.UID || `${startDate}:${unescape(current.SUMMARY)}`,
+          name: unescape(current.SUMMARY),
+          startDate: startDate,
+          endDate: endDate && endDate >= startDate ? endDate : startDate
+        });
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const [name, ...parameters] = line.slice(0, separator).split(';');
+    const property = name.toUpperCase();
+    if (['UID', 'SUMMARY', 'DTSTART', 'DTEND'].includes(property)) {
+      current[property] = line.slice(separator + 1);
+      const tzid = parameters.find(parameter => /^TZID=/i.test(parameter));
+      if (tzid) current[`${property}_TZID`] = tzid.slice(5).replace(/^"|"$/g, '');
+    }
+  }
+
+  return { events, errors };
+}
+
+// -------------------
+// 0.8. Organizers
+// -------------------
+// The team pool comes from ORGANIZERS, a comma-separated list of "Name <email>" or plain emails,
+// in priority order. Without it the pool is just ORGANIZER_EMAIL. A meeting type can limit its
+// pool with an `organizers` list of emails (or the older single `organizerEmail`).
+const ORGANIZER_ASSIGNMENT_STRATEGIES = ['round-robin', 'least-booked', 'priority'];
+
+// Per-organizer caps on meetings per day/week (0 = no limit). ORGANIZER_LIMITS overrides the
+// defaults for individual organizers: {"swati@example.com": {"dailyLimit": 4, "weeklyLimit": 15}}
+const ORGANIZER_LIMIT_DEFAULTS = {
+  dailyLimit: numberFromEnv('ORGANIZER_DAILY_LIMIT', 0),
+  weeklyLimit: numberFromEnv('ORGANIZER_WEEKLY_LIMIT', 0)
+};
+
+function loadOrganizerLimits() {
+  if (!process.env.ORGANIZER_LIMITS) return {};
+  try {
+    const limits = JSON.parse(process.env.ORGANIZER_LIMITS);
+    return Object.fromEntries(Object.entries(limits).map(([email, limit]) => [email.toLowerCase(), limit]));
+  } catch (error) {
+    console.error('❌ Could not parse ORGANIZER_LIMITS, using default limits:', error.message);
+    return {};
+  }
+}
+
+const ORGANIZER_LIMITS = loadOrganizerLimits();
+
+function parseOrganizer(entry, priority) {
+  const match = /^(.*?)\s*<([^>]+)>$/.exec(entry.trim());
+  const email = (match ? match[2] : entry).trim();
+  const name = match && match[1] ? match[1].trim() : email.split('@')[0];
+  return {
+    email: email,
+    name: name,
+    priority: priority,
+    ...ORGANIZER_LIMIT_DEFAULTS,
+    ...ORGANIZER_LIMITS[email.toLowerCase()]
+  };
+}
+
+function loadOrganizers() {
+  const entries = (process.env.ORGANIZERS || '').split(',').filter(entry => entry.trim());
+  if (entries.length === 0) {
+    entries.push(process.env.ORGANIZER_EMAIL || "admin@thrivebrands.ai");
+  }
+  return entries.map((entry, index) => parseOrganizer(entry, index + 1));
+}
+
+const ORGANIZERS = loadOrganizers();
+
+let ORGANIZER_ASSIGNMENT = process.env.ORGANIZER_ASSIGNMENT || 'round-robin';
+if (!ORGANIZER_ASSIGNMENT_STRATEGIES.includes(ORGANIZER_ASSIGNMENT)) {
+  console.error(`❌ Unknown ORGANIZER_ASSIGNMENT "${ORGANIZER_ASSIGNMENT}", using round-robin`);
+  ORGANIZER_ASSIGNMENT = 'round-robin';
+}
+
+function sameEmail(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// Organizers who can take a meeting type, in priority order
+function getOrganizerPool(meetingType) {
+  const emails = meetingType.organizers || (meetingType.organizerEmail ? [meetingType.organizerEmail] : null);
+  if (!emails) return ORGANIZERS;
+  return emails.map((email, index) =>
+    ORGANIZERS.find(organizer => sameEmail(organizer.email, email)) || parseOrganizer(email, ORGANIZERS.length + index + 1)
+  );
+}
+
+// Split a pool by who is free for a slot ({ start, end, bufferBefore, bufferAfter }) given the day's
+// state: booked and held intervals, calendar-busy intervals per organizer and organizers at their
+// meeting limit. `unbooked` organizers have no clashing booking (counting buffers), `withinLimits`
+// ones are also under their limits, `available` ones are also free in their own calendar, and `free`
+// ones have no clashing hold either. `withinBuffer` lists organizers only blocked by buffers and
+// `limitReason` says why every unbooked organizer is over a limit. Bookings and holds without an
+// organizer (made before organizer pools existed) block every organizer.
+function splitOrganizersBySlot(pool, slot, { bookedIntervals, heldIntervals, busyByOrganizer = new Map(), limitReached = new Map() }) {
+  const organizerIntervals = (intervals, organizer) =>
+    intervals.filter(interval => !interval.organizerEmail || sameEmail(interval.organizerEmail, organizer.email));
+
+  const unbooked = pool.filter(organizer => !clashesAny(organizerIntervals(bookedIntervals, organizer), slot));
+  const withinBuffer = pool.filter(organizer => !unbooked.includes(organizer) &&
+    !overlapsAny(organizerIntervals(bookedIntervals, organizer), slot.start, slot.end));
+  const withinLimits = unbooked.filter(organizer => !limitReached.has(organizer.email.toLowerCase()));
+  const available = withinLimits.filter(organizer => !clashesAny(busyByOrganizer.get(organizer.email.toLowerCase()) || [], slot));
+  const free = available.filter(organizer => !clashesAny(organizerIntervals(heldIntervals, organizer), slot));
+  const limitReason = unbooked.length > 0 && withinLimits.length === 0
+    ? limitReached.get(unbooked[0].email.toLowerCase())
+    : null;
+  return { unbooked, withinBuffer, withinLimits, limitReason, available, free };
+}
+
+// Fetch everything splitOrganizersBySlot needs for every date in a range, as date -> day state,
+// with one query per source. excludeBooking lets a booking being moved ignore its own slot,
+// its event in the organizer's calendar and its place in the meeting limits.
+async function getOrganizerRangeState(fromDate, toDate, pool, meetingType, { holdToken, excludeBooking } = {}) {
+  const [bookedByDate, heldByDate, busyByDate, limitsByDate] = await Promise.all([
+    getBookedIntervalsByDate(fromDate, toDate),
+    getHeldIntervalsByDate(fromDate, toDate, holdToken),
+    getOrganizerBusyIntervalsByDate(fromDate, toDate, pool),
+    getLimitReachedByDate(fromDate, toDate, pool, meetingType, excludeBooking?.bookingId)
+  ]);
+
+  const states = new Map();
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    const busyByOrganizer = busyByDate.get(date) || new Map();
+    if (excludeBooking && excludeBooking.date === date) {
+      const ownStart = timeToMinutes(excludeBooking.time);
+      const ownEnd = ownStart + (excludeBooking.durationMinutes || 30);
+      for (const [email, intervals] of busyByOrganizer) {
+        busyByOrganizer.set(email, intervals.filter(interval => interval.start !== ownStart || interval.end !== ownEnd));
+      }
+    }
+
+    states.set(date, {
+      bookedIntervals: (bookedByDate.get(date) || []).filter(interval => interval.bookingId !== excludeBooking?.bookingId),
+      heldIntervals: heldByDate.get(date) || [],
+      busyByOrganizer: busyByOrganizer,
+      limitReached: limitsByDate.get(date)
+    });
+  }
+  return states;
+}
+
+// Fetch everything splitOrganizersBySlot needs for a single date
+async function getOrganizerDayState(date, pool, meetingType, options = {}) {
+  return (await getOrganizerRangeState(date, date, pool, meetingType, options)).get(date);
+}
+
+async function findFreeOrganizers(date, time24h, meetingType, pool, options = {}) {
+  const dayState = await getOrganizerDayState(date, pool, meetingType, options);
+  return splitOrganizersBySlot(pool, buildSlotInterval(time24h, meetingType), dayState);
+}
+
+// Monday..Sunday (YYYY-MM-DD) of the week containing date
+function getWeekRange(date) {
+  const daysSinceMonday = (getDayOfWeek(date) + 6) % 7;
+  const monday = addDays(date, -daysSinceMonday);
+  return { from: monday, to: addDays(monday, 6) };
+}
+
+// Active bookings of the given organizers between two dates (inclusive)
+async function getOrganizerBookings(emails, fromDate, toDate) {
+  if (bookingsCollection) {
+    return bookingsCollection
+      .find({ organizerEmail: { $in: emails }, date: { $gte: fromDate, $lte: toDate }, status: { $in: ACTIVE_BOOKING_STATUSES } })
+      .project({ _id: 0, bookingId: 1, organizerEmail: 1, date: 1, meetingType: 1 })
+      .toArray();
+  }
+  return Array.from(getMemoryBookings().values()).filter(booking =>
+    emails.some(email => sameEmail(email, booking.organizerEmail)) &&
+    booking.date >= fromDate && booking.date <= toDate && ACTIVE_BOOKING_STATUSES.includes(booking.status));
+}
+
+// Active bookings per organizer email (lower-cased) between two dates
+async function countOrganizerBookings(emails, fromDate, toDate) {
+  const counts = new Map();
+  for (const booking of await getOrganizerBookings(emails, fromDate, toDate)) {
+    const key = booking.organizerEmail.toLowerCase();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+// Organizers who already have their maximum number of meetings on a date or in its week, as
+// date -> (lower-cased email -> reason) for every date in the range, from one bookings query.
+// Organizer limits count all their meetings; a meeting type's dailyLimit/weeklyLimit counts only
+// meetings of that type, per organizer.
+async function getLimitReachedByDate(fromDate, toDate, pool, meetingType, excludeBookingId) {
+  const byDate = new Map();
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    byDate.set(date, new Map());
+  }
+  const hasLimits = meetingType.dailyLimit || meetingType.weeklyLimit ||
+    pool.some(organizer => organizer.dailyLimit || organizer.weeklyLimit);
+  if (!hasLimits) return byDate;
+
+  const bookings = (await getOrganizerBookings(pool.map(organizer => organizer.email), getWeekRange(fromDate).from, getWeekRange(toDate).to))
+    .filter(booking => booking.bookingId !== excludeBookingId);
+  const isFull = (limit, count) => limit > 0 && count >= limit;
+
+  for (const [date, limitReached] of byDate) {
+    const week = getWeekRange(date);
+    for (const organizer of pool) {
+      const weekBookings = bookings.filter(booking => sameEmail(booking.organizerEmail, organizer.email) &&
+        booking.date >= week.from && booking.date <= week.to);
+      const weekOfType = weekBookings.filter(booking => (booking.meetingType || DEFAULT_MEETING_TYPE) === meetingType.key);
+      const onDate = list => list.filter(booking => booking.date === date).length;
+
+      if (isFull(organizer.dailyLimit, onDate(weekBookings)) || isFull(meetingType.dailyLimit, onDate(weekOfType))) {
+        limitReached.set(organizer.email.toLowerCase(), 'Daily limit reached');
+      } else if (isFull(organizer.weeklyLimit, weekBookings.length) || isFull(meetingType.weeklyLimit, weekOfType.length)) {
+        limitReached.set(organizer.email.toLowerCase(), 'Weekly limit reached');
+      }
+    }
+  }
+  return byDate;
+}
+
+// When each organizer was last assigned a booking, keyed by lower-cased email
+async function getLastAssignedAt(emails) {
+  const lastAssigned = new Map();
+  if (bookingsCollection) {
+    const results = await bookingsCollection.aggregate([
+      { $match: { organizerEmail: { $in: emails }, status: { $ne: 'failed' } } },
+      { $group: { _id: '$organizerEmail', lastAssignedAt: { $max: '$createdAt' } } }
+    ]).toArray();
+    results.forEach(result => lastAssigned.set(result._id.toLowerCase(), result.lastAssignedAt));
+  } else {
+    for (const booking of getMemoryBookings().values()) {
+      const key = booking.organizerEmail?.toLowerCase();
+      if (!key || booking.status === 'failed') continue;
+      if (!lastAssigned.has(key) || lastAssigned.get(key) < booking.createdAt) lastAssigned.set(key, booking.createdAt);
+    }
+  }
+  return lastAssigned;
+}
+
+// Order candidates by the assignment strategy; ties fall back to priority order
+async function orderOrganizersForAssignment(candidates, date, strategy) {
+  const byPriority = [...candidates].sort((a, b) => a.priority - b.priority);
+  if (byPriority.length < 2 || strategy === 'priority') return byPriority;
+
+  const emails = byPriority.map(organizer => organizer.email);
+  if (strategy === 'least-booked') {
+    const week = getWeekRange(date);
+    const counts = await countOrganizerBookings(emails, week.from, week.to);
+    const count = organizer => counts.get(organizer.email.toLowerCase()) || 0;
+    return byPriority.sort((a, b) => count(a) - count(b));
+  }
+
+  // round-robin: whoever was assigned least recently goes first, never-assigned organizers before everyone
+  const lastAssigned = await getLastAssignedAt(emails);
+  const assignedAt = organizer => lastAssigned.get(organizer.email.toLowerCase())?.getTime() ?? -Infinity;
+  return byPriority.sort((a, b) => assignedAt(a) - assignedAt(b));
+}
+
+// Try candidates in assignment order until claim(organizer) succeeds. A slot conflict moves on to
+// the next organizer (another request took this one); if every candidate conflicts the last error is thrown.
+async function assignOrganizer(candidates, date, meetingType, claim) {
+  const ordered = await orderOrganizersForAssignment(candidates, date, meetingType.assignment || ORGANIZER_ASSIGNMENT);
+  let lastError = createSlotConflictError(`${date} (no organizer available)`);
+
+  for (const organizer of ordered) {
+    try {
+      return { organizer: organizer, result: await claim(organizer) };
+    } catch (error) {
+      if (!isSlotConflictError(error)) throw error;
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+// -------------------
+// 0.9. Organizer Free/Busy
+// -------------------
+// Busy time from the organizers' Outlook calendars (Graph getSchedule) and their automatic replies
+// is merged into slot availability. Results are cached briefly per organizer and date.
+const FREE_BUSY_CACHE_SECONDS = parseInt(process.env.FREE_BUSY_CACHE_SECONDS, 10) || 60;
+const FREE_BUSY_STATUSES = ['busy', 'oof', 'tentative']; // 'free' and 'workingElsewhere' stay bookable
+const GRAPH_TIMEZONE = 'India Standard Time'; // Windows name of BUSINESS_TIMEZONE, as Graph expects
+const GRAPH_SCHEDULES_PER_REQUEST = 20;
+
+const freeBusyCache = new Map();
+
+// Local "YYYY-MM-DDTHH:MM" start/end to minutes on `date`, clipped to that day; null if they don't overlap it
+function clipToDate(date, startLocal, endLocal) {
+  const toMinutes = local => {
+    const day = local.slice(0, 10);
+    if (day < date) return 0;
+    if (day > date) return 24 * 60;
+    return timeToMinutes(local.slice(11, 16));
+  };
+  const start = toMinutes(startLocal);
+  const end = toMinutes(endLocal);
+  return start < end ? { start, end } : null;
+}
+
+// Graph dateTimeTimeZone to a business-timezone "YYYY-MM-DDTHH:MM". Values outside the business
+// timezone are expected in UTC, which is what Graph returns for mailbox settings.
+function toBusinessLocal({ dateTime, timeZone }) {
+  if (timeZone === GRAPH_TIMEZONE) return dateTime.slice(0, 16);
+  const instant = new Date(`${dateTime.slice(0, 19)}Z`);
+  return instant.toLocaleString('sv-SE', { timeZone: BUSINESS_TIMEZONE }).replace(' ', 'T').slice(0, 16);
+}
+
+// Busy periods per organizer (lower-cased email) between two dates (inclusive) from Graph getSchedule,
+// as business-timezone { start, end } "YYYY-MM-DDTHH:MM" pairs. Graph accepts up to 62 days per request.
+async function fetchGraphSchedules(token, emails, fromDate, toDate) {
+  const busy = new Map();
+
+  for (let i = 0; i < emails.length; i += GRAPH_SCHEDULES_PER_REQUEST) {
+    const batch = emails.slice(i, i + GRAPH_SCHEDULES_PER_REQUEST);
+    const response = await axios.post(
+      `https://graph.microsoft.com/v1.0/users/${batch[0]}/calendar/getSchedule`,
+      {
+        schedules: batch,
+        startTime: { dateTime: `${fromDate}T00:00:00`, timeZone: GRAPH_TIMEZONE },
+        endTime: { dateTime: `${addDays(toDate, 1)}T00:00:00`, timeZone: GRAPH_TIMEZONE },
+        availabilityViewInterval: SLOT_CELL_MINUTES
+      },
+      { headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" } }
+    );
+
+    for (const schedule of response.data.value || []) {
+      if (schedule.error) {
+        console.error(`⚠️ Free/busy unavailable for ${schedule.scheduleId}:`, schedule.error.message);
+        continue;
+      }
+      busy.set(schedule.scheduleId.toLowerCase(), (schedule.scheduleItems || [])
+        .filter(item => FREE_BUSY_STATUSES.includes(item.status))
+        .map(item => ({ start: toBusinessLocal(item.start), end: toBusinessLocal(item.end) })));
+    }
+  }
+
+  return busy;
+}
+
+// Automatic replies mark the organizer away: for the whole range while always enabled, or for the scheduled period
+async function fetchAutoReplyBusy(token, email, fromDate, toDate) {
+  try {
+    const response = await axios.get(
+      `https://graph.microsoft.com/v1.0/users/${email}/mailboxSettings/automaticRepliesSetting`,
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    const setting = response.data;
+
+    if (setting.status === 'alwaysEnabled') return [{ start: `${fromDate}T00:00`, end: `${addDays(toDate, 1)}T00:00` }];
+    if (setting.status === 'scheduled' && setting.scheduledStartDateTime && setting.scheduledEndDateTime) {
+      return [{ start: toBusinessLocal(setting.scheduledStartDateTime), end: toBusinessLocal(setting.scheduledEndDateTime) }];
+    }
+    return [];
+  } catch (error) {
+    console.error(`⚠️ Could not read automatic replies for ${email}:`, error.response?.data?.error?.message || error.message);
+    return [];
+  }
+}
+
+// Mock mode: busy time comes from MOCK_FREE_BUSY_FILE, a JSON file keyed by organizer email and date:
+// { "swati@example.com": { "2025-09-10": [{ "start": "10:00", "end": "11:00" }] } }
+// The file is read on every call (and never cached) so tests can change it between requests.
+function readMockFreeBusy(emails, dates) {
+  const busyByDate = new Map(dates.map(date => [date, new Map()]));
+  if (!process.env.MOCK_FREE_BUSY_FILE) return busyByDate;
+
+  try {
+    const calendars = JSON.parse(fs.readFileSync(process.env.MOCK_FREE_BUSY_FILE, 'utf8'));
+    for (const [email, days] of Object.entries(calendars)) {
+      if (!emails.some(candidate => sameEmail(candidate, email))) continue;
+      for (const date of dates) {
+        busyByDate.get(date).set(email.toLowerCase(), (days[date] || []).map(item => ({
+          start: timeToMinutes(item.start),
+          end: timeToMinutes(item.end)
+        })));
+      }
+    }
+  } catch (error) {
+    console.error('❌ Could not read MOCK_FREE_BUSY_FILE:', error.message);
+  }
+  return busyByDate;
+}
+
+// Busy intervals ({ start, end } minutes) per organizer (lower-cased email) for every date in a range,
+// as date -> (email -> intervals). Organizers missing from the cache are fetched for the whole range at once.
+// If Graph cannot be reached the organizers are treated as free, so bookings keep working.
+async function getOrganizerBusyIntervalsByDate(fromDate, toDate, organizers) {
+  const dates = [];
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  const busyByDate = new Map(dates.map(date => [date, new Map()]));
+  if (process.env.FREE_BUSY_ENABLED === 'false' || organizers.length === 0) return busyByDate;
+
+  const emails = organizers.map(organizer => organizer.email);
+  if (!hasAzureCredentials()) {
+    return readMockFreeBusy(emails, dates);
+  }
+
+  const now = Date.now();
+  const missing = [];
+  for (const email of emails) {
+    const key = email.toLowerCase();
+    const cached = dates.map(date => freeBusyCache.get(`${key}|${date}`));
+    if (cached.every(entry => entry && entry.expiresAt > now)) {
+      dates.forEach((date, index) => busyByDate.get(date).set(key, cached[index].intervals));
+    } else {
+      missing.push(email);
+    }
+  }
+  if (missing.length === 0) return busyByDate;
+
+  try {
+    // A token is only needed for organizers missing from the cache. Failing to get one is a failed lookup,
+    // not mock mode, so real calendars are never swapped for MOCK_FREE_BUSY_FILE.
+    const token = await requestAccessToken();
+    const [schedules, autoReplies] = await Promise.all([
+      fetchGraphSchedules(token, missing, fromDate, toDate),
+      Promise.all(missing.map(email => fetchAutoReplyBusy(token, email, fromDate, toDate)))
+    ]);
+
+    for (const [key, entry] of freeBusyCache) {
+      if (entry.expiresAt <= now) freeBusyCache.delete(key);
+    }
+    missing.forEach((email, index) => {
+      const key = email.toLowerCase();
+      if (!schedules.has(key)) return;
+      const periods = [...schedules.get(key), ...autoReplies[index]];
+      for (const date of dates) {
+        const intervals = periods.map(period => clipToDate(date, period.start, period.end)).filter(Boolean);
+        busyByDate.get(date).set(key, intervals);
+        freeBusyCache.set(`${key}|${date}`, { intervals: intervals, expiresAt: now + FREE_BUSY_CACHE_SECONDS * 1000 });
+      }
+    });
+  } catch (error) {
+    console.error('⚠️ Free/busy lookup failed, treating organizers as free:', error.response?.data?.error?.message || error.message);
+  }
+
+  return busyByDate;
+}
+
+// -------------------
+// 1. Get Access Token
+// -------------------
+function hasAzureCredentials() {
+  return Boolean(process.env.TENANT_ID && process.env.CLIENT_ID && process.env.CLIENT_SECRET);
+}
+
+// App tokens are reused until shortly before they expire
+let cachedAccessToken = null;
+
+// Returns 'mock-token' when Azure credentials are not configured; throws when authentication fails
+async function requestAccessToken() {
+  if (!hasAzureCredentials()) {
+    return 'mock-token';
+  }
+  if (cachedAccessToken && cachedAccessToken.expiresAt > Date.now()) {
+    return cachedAccessToken.token;
+  }
+
+  console.log("🔑 Getting fresh access token...");
+  const response = await axios.post(
+    `https://login.microsoftonline.com/${process.env.TENANT_ID}/oauth2/v2.0/token`,
+    new URLSearchParams({
+      grant_type: "client_credentials",
+      client_id: process.env.CLIENT_ID,
+      client_secret: process.env.CLIENT_SECRET,
+      scope: "https://graph.microsoft.com/.default",
+    }),
+    {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    }
+  );
+
+  console.log('✅ Access token obtained successfully');
+  console.log('🔑 Token expires in:', response.data.expires_in, 'seconds');
+  cachedAccessToken = {
+    token: response.data.access_token,
+    expiresAt: Date.now() + Math.max(0, (response.data.expires_in || 0) - 60) * 1000
+  };
+  return cachedAccessToken.token;
+}
+
+async function getAccessToken() {
+  try {
+    if (!hasAzureCredentials()) {
+      console.log('⚠️ Azure credentials not configured, using mock mode');
+    }
+    return await requestAccessToken();
+  } catch (error) {
+    console.error("❌ Error getting access token:", error.response?.data || error.message);
+    console.log('⚠️ Using mock mode due to authentication error');
+    return 'mock-token';
+  }
+}
+
+// -------------------
+// 2. Create Teams Meeting
+// -------------------
+// Returns a mock meeting when Azure credentials are not configured; with them, any failure is thrown
+// so the caller can release the booking instead of sending a link that does not work
+async function createTeamsMeeting(subject, startTime, endTime, attendees, organizerEmail) {
+  try {
+    const token = await requestAccessToken();
+
+    // If using mock mode, return mock data
+    if (token === 'mock-token') {
+      console.log('📝 Creating mock Teams meeting');
+      const meetingId = Math.random().toString(36).substring(2, 15);
+      return {
+        mock: true,
+        id: meetingId,
+        joinUrl: `https://teams.microsoft.com/l/meetup-join/19:meeting_${meetingId}@thread.v2/0?context={"Tid":"mock-tenant","Oid":"${organizerEmail}"}`,
+        startDateTime: startTime,
+        endDateTime: endTime,
+        subject: subject
+      };
+    }
+
+    // First, let's try to get the user ID for the organizer
+    let userId;
+    try {
+      console.log('🔍 Attempting to create meeting for organizer:', organizerEmail);
+      
+      // First, verify the user exists and get their details
+      const userResponse = await axios.get(
+        `https://graph.microsoft.com/v1.0/users/${organizerEmail}`,
+        {
+          headers: { 
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+      
+      console.log('✅ User found:', userResponse.data.displayName);
+      userId = userResponse.data.id;
+      
+      // Check user's assigned licenses to see Teams services
+      try {
+        const licensesResponse = await axios.get(
+          `https://graph.microsoft.com/v1.0/users/${userId}/assignedLicenses`,
+          {
+            headers: { 
+              Authorization: `Bearer ${token}`,
+              'Content-Type': 'application/json'
+            }
+          }
+        );
+        console.log('📋 User licenses:', licensesResponse.data.value.map(license => ({
+          skuId: license.skuId,
+          disabledPlans: license.disabledPlans
+        })));
+      } catch (licenseError) {
+        console.log('⚠️ Could not check user licenses:', licenseError.response?.status);
+      }
+      
+      // Try multiple approaches to create the meeting
+      let meetingResponse;
+      
+      // Approach 1: Try using /users/{userId}/onlineMeetings
+      try {
+        console.log('🔄 Trying approach 1: /users/{userId}/onlineMeetings');
+        meetingResponse = await axios.post(
+          `https://graph.microsoft.com/v1.0/users/${userId}/onlineMeetings`,
+          {
+            subject: subject,
+            startDateTime: startTime,
+            endDateTime: endTime,
+            participants: {
+              attendees: attendees.map(email => ({
+                upn: email,
+                role: "attendee"
+              }))
+            }
+          },
+          {
+            headers: { 
+              Authorization: `Bearer ${token}`,
+              'Content-Type': 'application/json'
+            }
+          }
+        );
+        console.log('✅ Approach 1 successful');
+      } catch (error1) {
+        console.log('❌ Approach 1 failed:', error1.response?.status, error1.response?.data?.error?.message);
+        
+        // Approach 2: Try using /users/{userPrincipalName}/onlineMeetings
+        try {
+          console.log('🔄 Trying approach 2: /users/{userPrincipalName}/onlineMeetings');
+          meetingResponse = await axios.post(
+            `https://graph.microsoft.com/v1.0/users/${organizerEmail}/onlineMeetings`,
+            {
+              subject: subject,
+              startDateTime: startTime,
               endDateTime: endTime,
               participants: {
                 attendees: attendees.map(email => ({
@@ -373,517 +1950,4132 @@ async function createTeamsMeeting(subject, startTime, endTime, attendees, organi
         }
       }
 
-      console.log('✅ Teams meeting created successfully:', meetingResponse.data);
-      return meetingResponse.data;
-      
-    } catch (userError) {
-      console.error('❌ Error creating meeting:', userError.response?.data || userError.message);
-      
-      // Check if it's a permission issue vs user not found
-      if (userError.response?.status === 403) {
-        console.error('❌ Permission denied. This is likely due to missing admin consent for application permissions.');
-        console.error('❌ Required permissions that need admin consent:');
-        console.error('   - OnlineMeetings.ReadWrite.All (Application)');
-        console.error('   - User.Read.All (Application)');
-        console.error('   - Calendars.ReadWrite (Application)');
-        console.error('❌ Please grant admin consent in Azure AD app registration');
-      } else if (userError.response?.status === 404) {
-        console.error('❌ User not found or Teams license issue:', organizerEmail);
-        console.error('❌ Please ensure the user exists and has a valid Teams license');
-        console.error('❌ Also check if the user has permission to create online meetings');
-      } else {
-        console.error('❌ Unexpected error:', userError.response?.status, userError.response?.data);
+      console.log('✅ Teams meeting created successfully:', meetingResponse.data);
+      return meetingResponse.data;
+      
+    } catch (userError) {
+      console.error('❌ Error creating meeting:', userError.response?.data || userError.message);
+      
+      // Check if it's a permission issue vs user not found
+      if (userError.response?.status === 403) {
+        console.error('❌ Permission denied. This is likely due to missing admin consent for application permissions.');
+        console.error('❌ Required permissions that need admin consent:');
+        console.error('   - OnlineMeetings.ReadWrite.All (Application)');
+        console.error('   - User.Read.All (Application)');
+        console.error('   - Calendars.ReadWrite (Application)');
+        console.error('❌ Please grant admin consent in Azure AD app registration');
+      } else if (userError.response?.status === 404) {
+        console.error('❌ User not found or Teams license issue:', organizerEmail);
+        console.error('❌ Please ensure the user exists and has a valid Teams license');
+        console.error('❌ Also check if the user has permission to create online meetings');
+      } else {
+        console.error('❌ Unexpected error:', userError.response?.status, userError.response?.data);
+      }
+      
+      throw new Error(`Failed to create meeting. ${userError.response?.data?.error?.message || userError.message}`);
+    }
+
+  } catch (error) {
+    console.error("❌ Error creating meeting:", error.message);
+    if (hasAzureCredentials()) {
+      throw error;
+    }
+    console.log('⚠️ Using mock mode due to API error');
+    
+    // Return mock data as fallback
+    const meetingId = Math.random().toString(36).substring(2, 15);
+    return {
+      mock: true,
+      id: meetingId,
+      joinUrl: `https://teams.microsoft.com/l/meetup-join/19:meeting_${meetingId}@thread.v2/0?context={"Tid":"mock-tenant","Oid":"${organizerEmail}"}`,
+      startDateTime: startTime,
+      endDateTime: endTime,
+      subject: subject
+    };
+  }
+}
+
+// -------------------
+// 2.1. Cancel Teams Meeting
+// -------------------
+// Describe how a meeting returned by createTeamsMeeting was created, so it can be removed the same way later
+function getMeetingKind(meeting) {
+  if (meeting.mock) return 'mock';
+  if (meeting.onlineMeeting || meeting.isOnlineMeeting !== undefined) return 'event';
+  return 'onlineMeeting';
+}
+
+async function cancelTeamsMeeting(meetingRecord, organizerEmail, comment = 'This meeting has been cancelled.') {
+  try {
+    const token = await getAccessToken();
+
+    if (token === 'mock-token' || meetingRecord.kind === 'mock') {
+      console.log('📝 Mock mode - skipping Teams meeting cancellation for', meetingRecord.id);
+      return { success: true, message: 'Meeting cancellation skipped (mock mode)' };
+    }
+
+    const headers = {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    };
+
+    if (meetingRecord.kind === 'event') {
+      // Cancelling (rather than deleting) the event also sends a cancellation to its attendees
+      await axios.post(
+        `https://graph.microsoft.com/v1.0/users/${organizerEmail}/events/${meetingRecord.id}/cancel`,
+        { comment: comment },
+        { headers }
+      );
+    } else {
+      await axios.delete(
+        `https://graph.microsoft.com/v1.0/users/${organizerEmail}/onlineMeetings/${meetingRecord.id}`,
+        { headers }
+      );
+    }
+
+    console.log('✅ Teams meeting cancelled successfully:', meetingRecord.id);
+    return { success: true, message: 'Teams meeting cancelled' };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      console.log('⚠️ Teams meeting already gone:', meetingRecord.id);
+      return { success: true, message: 'Teams meeting not found (already removed)' };
+    }
+    console.error('❌ Error cancelling Teams meeting:', error.response?.data || error.message);
+    return { success: false, error: error.response?.data?.error?.message || error.message };
+  }
+}
+
+// -------------------
+// 2.2. Reschedule Teams Meeting
+// -------------------
+async function rescheduleTeamsMeeting(meetingRecord, organizerEmail, startTime, endTime) {
+  try {
+    const token = await getAccessToken();
+
+    if (token === 'mock-token' || meetingRecord.kind === 'mock') {
+      console.log('📝 Mock mode - skipping Teams meeting time update for', meetingRecord.id);
+      return { success: true, message: 'Meeting update skipped (mock mode)' };
+    }
+
+    const headers = {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    };
+
+    if (meetingRecord.kind === 'event') {
+      // Updating the event sends the new time to its attendees
+      await axios.patch(
+        `https://graph.microsoft.com/v1.0/users/${organizerEmail}/events/${meetingRecord.id}`,
+        {
+          start: { dateTime: startTime, timeZone: "UTC" },
+          end: { dateTime: endTime, timeZone: "UTC" }
+        },
+        { headers }
+      );
+    } else {
+      await axios.patch(
+        `https://graph.microsoft.com/v1.0/users/${organizerEmail}/onlineMeetings/${meetingRecord.id}`,
+        {
+          startDateTime: startTime,
+          endDateTime: endTime
+        },
+        { headers }
+      );
+    }
+
+    console.log('✅ Teams meeting rescheduled successfully:', meetingRecord.id);
+    return { success: true, message: 'Teams meeting rescheduled' };
+  } catch (error) {
+    console.error('❌ Error rescheduling Teams meeting:', error.response?.data || error.message);
+    return { success: false, error: error.response?.data?.error?.message || error.message };
+  }
+}
+
+// -------------------
+// 2.3. Teams Attendance Reports
+// -------------------
+// Who joined a meeting and when, from its Teams attendance reports (needs the OnlineMeetingArtifact.Read.All
+// application permission and an application access policy for the organizers). Set ATTENDANCE_SOURCE=mock,
+// or run in mock mode, to read MOCK_ATTENDANCE_FILE instead of calling Graph.
+const ATTENDANCE_SOURCE = process.env.ATTENDANCE_SOURCE === 'mock' ? 'mock' : 'graph';
+
+// Attendance records (Graph attendanceRecord objects) across all of a meeting's reports.
+// Returns null while Teams has no report for the meeting yet.
+async function fetchGraphAttendanceRecords(token, meetingRecord, organizerEmail) {
+  const headers = { Authorization: `Bearer ${token}` };
+  const baseUrl = `https://graph.microsoft.com/v1.0/users/${organizerEmail}/onlineMeetings`;
+
+  // Calendar events have their own ids; their online meeting is looked up by its join URL
+  let onlineMeetingId = meetingRecord.id;
+  if (meetingRecord.kind === 'event') {
+    const lookup = await axios.get(baseUrl, {
+      headers,
+      params: { $filter: `JoinWebUrl eq '${meetingRecord.joinUrl.replace(/'/g, "''")}'` }
+    });
+    onlineMeetingId = lookup.data.value?.[0]?.id;
+    if (!onlineMeetingId) throw new Error('No online meeting found for the calendar event');
+  }
+
+  const reports = await axios.get(`${baseUrl}/${onlineMeetingId}/attendanceReports`, { headers });
+  if (!reports.data.value?.length) return null;
+
+  const records = [];
+  for (const report of reports.data.value) {
+    let url = `${baseUrl}/${onlineMeetingId}/attendanceReports/${report.id}/attendanceRecords`;
+    while (url) {
+      const page = await axios.get(url, { headers });
+      records.push(...(page.data.value || []));
+      url = page.data['@odata.nextLink'];
+    }
+  }
+  return records;
+}
+
+// Mock attendance: MOCK_ATTENDANCE_FILE is a JSON file of attendance records keyed by meeting id
+// (the `meeting.id` of the booking), in the same shape Graph returns:
+// { "abc123": [{ "emailAddress": "client@example.com", "identity": { "displayName": "Client" }, "role": "Attendee",
+//   "totalAttendanceInSeconds": 1500, "attendanceIntervals": [{ "joinDateTime": "...", "leaveDateTime": "...", "durationInSeconds": 1500 }] }] }
+// A meeting missing from the file has no report yet. The file is read on every call, so tests can change it.
+function readMockAttendanceRecords(meetingRecord) {
+  if (!process.env.MOCK_ATTENDANCE_FILE) return null;
+  try {
+    const reports = JSON.parse(fs.readFileSync(process.env.MOCK_ATTENDANCE_FILE, 'utf8'));
+    return reports[meetingRecord.id] || null;
+  } catch (error) {
+    console.error('❌ Could not read MOCK_ATTENDANCE_FILE:', error.message);
+    return null;
+  }
+}
+
+async function getTeamsAttendanceRecords(meetingRecord, organizerEmail) {
+  const token = ATTENDANCE_SOURCE === 'mock' ? 'mock-token' : await getAccessToken();
+  if (token === 'mock-token' || meetingRecord.kind === 'mock') {
+    return readMockAttendanceRecords(meetingRecord);
+  }
+  return fetchGraphAttendanceRecords(token, meetingRecord, organizerEmail);
+}
+
+// -------------------
+// 3. Mail Service
+// -------------------
+// Every email goes through sendMail(), which hands it to the driver chosen by MAIL_DRIVER:
+// - graph: Microsoft Graph sendMail from the MAIL_FROM mailbox (the default when Azure credentials are set)
+// - smtp: any SMTP server through nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS).
+//   For local development it can point at an SMTP catcher such as Mailpit (SMTP_HOST=localhost, SMTP_PORT=1025).
+// - outbox: log each email to the console and, when MAIL_OUTBOX_DIR is set, also save it there as an
+//   .eml file (the default in mock mode). For development only: nothing is delivered.
+// Whatever the driver, results look the same: { success, driver, messageId, recipients, message } on
+// success and { success: false, driver, recipients, error } on failure.
+const MAIL_DRIVERS = ['graph', 'smtp', 'outbox'];
+
+// Relative paths are under the system temp folder, the only writable place on Vercel
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR ? path.resolve(os.tmpdir(), process.env.MAIL_OUTBOX_DIR) : null;
+
+// Sending mailbox, display name and reply-to. MAIL_FROM, MAIL_FROM_NAME and MAIL_REPLY_TO apply to every
+// email; MAIL_SENDERS overrides them per email type (client, organizer, admin), e.g.
+// {"client": {"from": "organizer", "replyTo": "organizer"}, "admin": {"fromName": "Booking Bot"}}.
+// "organizer" stands for the booking's assigned organizer, so replies reach them directly.
+const MAIL_SENDER_TYPES = ['client', 'organizer', 'admin'];
+const MAIL_FROM = process.env.MAIL_FROM || process.env.ADMIN_EMAIL || ORGANIZERS[0].email;
+const MAIL_FROM_NAME = process.env.MAIL_FROM_NAME || null;
+const MAIL_REPLY_TO = process.env.MAIL_REPLY_TO || null;
+
+function loadMailSenders() {
+  const defaults = { from: MAIL_FROM, fromName: MAIL_FROM_NAME, replyTo: MAIL_REPLY_TO };
+  let overrides = {};
+  if (process.env.MAIL_SENDERS) {
+    try {
+      overrides = JSON.parse(process.env.MAIL_SENDERS);
+    } catch (error) {
+      console.error('❌ Could not parse MAIL_SENDERS, using MAIL_FROM for every email:', error.message);
+    }
+  }
+  for (const type of Object.keys(overrides)) {
+    if (!MAIL_SENDER_TYPES.includes(type)) {
+      console.error(`❌ Unknown MAIL_SENDERS type "${type}", expected one of: ${MAIL_SENDER_TYPES.join(', ')}`);
+    }
+  }
+  return Object.fromEntries(MAIL_SENDER_TYPES.map(type => {
+    const sender = { ...defaults, ...overrides[type] };
+    // Sending as the organizer shows their own name unless the type sets one
+    if (sender.from === 'organizer' && !overrides[type]?.fromName) sender.fromName = null;
+    return [type, sender];
+  }));
+}
+
+const MAIL_SENDERS = loadMailSenders();
+
+// { from, replyTo } for sendMail() for one email type. "organizer" resolves to meetingData's organizer,
+// falling back to MAIL_FROM when the email has no organizer (e.g. ad-hoc meetings).
+function getMailSender(type, meetingData = {}) {
+  const sender = MAIL_SENDERS[type];
+  const organizer = meetingData.organizerEmail
+    ? { name: meetingData.organizerName || null, address: meetingData.organizerEmail }
+    : null;
+  const resolve = (value, name) => {
+    if (value !== 'organizer') return value ? { name: name || null, address: value } : null;
+    return organizer ? { name: name || organizer.name, address: organizer.address } : null;
+  };
+
+  return {
+    from: resolve(sender.from, sender.fromName) || { name: sender.fromName, address: MAIL_FROM },
+    replyTo: resolve(sender.replyTo) || undefined
+  };
+}
+
+// Every distinct mailbox email can be sent from, for checking Mail.Send access
+function getSendingMailboxes() {
+  const mailboxes = Object.values(MAIL_SENDERS).flatMap(sender =>
+    sender.from === 'organizer' ? ORGANIZERS.map(organizer => organizer.email) : [sender.from]
+  );
+  return [...new Set(mailboxes.map(mailbox => mailbox.toLowerCase()))];
+}
+
+function loadMailDriver() {
+  const configured = (process.env.MAIL_DRIVER || '').toLowerCase();
+  if (MAIL_DRIVERS.includes(configured)) return configured;
+  if (configured) {
+    console.error(`❌ Unknown MAIL_DRIVER "${configured}", expected one of: ${MAIL_DRIVERS.join(', ')}`);
+  }
+  return hasAzureCredentials() ? 'graph' : 'outbox';
+}
+
+const MAIL_DRIVER = loadMailDriver();
+
+// "a@x.com", "Name <a@x.com>", { name, address } or an array of them -> [{ name, address }]
+function normalizeMailAddresses(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).filter(Boolean).map(entry => {
+    if (typeof entry === 'object') return { name: entry.name || null, address: entry.address || entry.email };
+    const match = entry.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+    return match ? { name: match[1] || null, address: match[2].trim() } : { name: null, address: entry.trim() };
+  });
+}
+
+// Nodemailer message for the smtp and outbox drivers
+function toNodemailerMessage(mail) {
+  return {
+    from: mail.from,
+    to: mail.to,
+    cc: mail.cc,
+    bcc: mail.bcc,
+    replyTo: mail.replyTo,
+    subject: mail.subject,
+    html: mail.html || undefined,
+    text: mail.text || undefined,
+    attachments: mail.attachments.map(attachment => ({
+      filename: attachment.name,
+      content: attachment.content,
+      contentType: attachment.contentType
+    }))
+  };
+}
+
+// The full MIME message (multipart/alternative when there is both HTML and text), Bcc header included
+async function buildMimeMessage(mail) {
+  const message = new MailComposer(toNodemailerMessage(mail)).compile();
+  message.keepBcc = true;
+  return { messageId: message.messageId(), raw: await message.build() };
+}
+
+let smtpTransport;
+function getSmtpTransport() {
+  if (!smtpTransport) {
+    const user = process.env.SMTP_USER || process.env.EMAIL_USER;
+    const pass = process.env.SMTP_PASS || process.env.EMAIL_PASS;
+    smtpTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: user ? { user, pass } : undefined
+    });
+  }
+  return smtpTransport;
+}
+
+// Each driver sends a normalized message and returns { messageId, message }, or throws
+const mailDrivers = {
+  async graph(mail) {
+    if (!hasAzureCredentials()) {
+      console.log('⚠️ No Azure credentials for the graph mail driver, logging the email instead');
+      return { ...(await mailDrivers.outbox(mail)), driver: 'outbox' };
+    }
+    // An authentication failure fails the send, rather than quietly logging the email like mock mode
+    const token = await requestAccessToken();
+
+    // Sent as MIME: Graph's JSON message has a single body, and every email carries an HTML and a plain-text part
+    const mime = await buildMimeMessage(mail);
+    await axios.post(
+      `https://graph.microsoft.com/v1.0/users/${mail.from.address}/sendMail`,
+      mime.raw.toString('base64'),
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'text/plain'
+        }
+      }
+    );
+    // Graph accepts the message (202) without returning an id, so the id is the one set in the MIME headers
+    return { messageId: mime.messageId, message: 'Sent via Microsoft Graph' };
+  },
+
+  async smtp(mail) {
+    const info = await getSmtpTransport().sendMail(toNodemailerMessage(mail));
+    if (info.accepted.length === 0) {
+      const error = new Error(`SMTP server rejected all recipients: ${info.rejected.join(', ')}`);
+      error.permanent = true;
+      throw error;
+    }
+    return { messageId: info.messageId, message: `Sent via SMTP (${info.response})` };
+  },
+
+  async outbox(mail) {
+    console.log('📧 Outbox - logging email instead of sending');
+    console.log('📧 Email data:', {
+      from: mail.from.address,
+      to: mail.to.map(recipient => recipient.address),
+      cc: mail.cc.map(recipient => recipient.address),
+      bcc: mail.bcc.map(recipient => recipient.address),
+      replyTo: mail.replyTo.map(recipient => recipient.address),
+      subject: mail.subject,
+      html: mail.html,
+      attachments: mail.attachments.map(attachment => attachment.name)
+    });
+    if (!MAIL_OUTBOX_DIR) {
+      return { messageId: null, message: 'Email logged (outbox)' };
+    }
+
+    // Render the full MIME message, attachments included, so it can be opened in a mail client
+    const mime = await buildMimeMessage(mail);
+    const filePath = path.join(MAIL_OUTBOX_DIR, `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}.eml`);
+    fs.mkdirSync(MAIL_OUTBOX_DIR, { recursive: true });
+    fs.writeFileSync(filePath, mime.raw);
+    return { messageId: mime.messageId, message: `Email saved to ${filePath}` };
+  }
+};
+
+// Network errors raised by axios and nodemailer before the server answered
+const TRANSIENT_MAIL_ERROR_CODES = ['ECONNECTION', 'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+
+// Whether a failed send may succeed if tried again: throttling (429), server errors (HTTP 5xx,
+// SMTP 4xx) and network errors. Anything else, such as an invalid recipient or a missing
+// Mail.Send permission, fails the same way every time.
+function isTransientMailError(error) {
+  if (error.permanent) return false;
+  if (error.response?.status) {
+    return error.response.status === 429 || error.response.status >= 500;
+  }
+  if (error.responseCode) {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+  return TRANSIENT_MAIL_ERROR_CODES.includes(error.code);
+}
+
+// Send an email: { to, cc, bcc, replyTo, from, subject, html, text, attachments: [{ name, contentType, content }] }.
+// `from` defaults to MAIL_FROM (see getMailSender() for per-type senders). Never throws; failures come back
+// as { success: false, error, retryable }.
+async function sendMail(message) {
+  const mail = {
+    from: normalizeMailAddresses(message.from || { name: MAIL_FROM_NAME, address: MAIL_FROM })[0],
+    to: normalizeMailAddresses(message.to),
+    cc: normalizeMailAddresses(message.cc),
+    bcc: normalizeMailAddresses(message.bcc),
+    replyTo: normalizeMailAddresses(message.replyTo),
+    subject: message.subject,
+    html: message.html || null,
+    text: message.text || null,
+    attachments: message.attachments || []
+  };
+  const recipients = [...mail.to, ...mail.cc, ...mail.bcc].map(recipient => recipient.address);
+
+  if (recipients.length === 0) {
+    return { success: false, driver: MAIL_DRIVER, recipients: recipients, error: 'Email has no recipients', retryable: false };
+  }
+
+  try {
+    const result = { driver: MAIL_DRIVER, ...(await mailDrivers[MAIL_DRIVER](mail)) };
+    console.log(`✅ Email "${mail.subject}" to ${recipients.join(', ')} handled by the ${result.driver} driver`);
+    return { success: true, recipients: recipients, ...result };
+  } catch (error) {
+    console.error(`❌ Error sending email "${mail.subject}" via ${MAIL_DRIVER}:`, error.response?.data || error.message);
+    return {
+      success: false,
+      driver: MAIL_DRIVER,
+      recipients: recipients,
+      error: error.response?.data?.error?.message || error.message,
+      retryable: isTransientMailError(error)
+    };
+  }
+}
+
+// -------------------
+// 3.1. Email Outbox
+// -------------------
+// Emails are not sent inline. Each one is stored in the outbox first and sent by a worker, so a Graph
+// 429/5xx or an SMTP outage delays an email instead of losing it. Transient failures are retried with
+// exponential backoff (EMAIL_RETRY_BASE_SECONDS, doubling each attempt); after EMAIL_MAX_ATTEMPTS, or
+// straight away for a permanent failure, the email is parked as 'dead' until an admin resends it. Enqueuing wakes the worker straight away;
+// the poller and the cron endpoint pick up retries and anything left over by a restart.
+const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'dead'];
+const EMAIL_MAX_ATTEMPTS = numberFromEnv('EMAIL_MAX_ATTEMPTS', 5);
+const EMAIL_RETRY_BASE_SECONDS = numberFromEnv('EMAIL_RETRY_BASE_SECONDS', 60);
+const EMAIL_POLL_SECONDS = numberFromEnv('EMAIL_POLL_SECONDS', 30); // 0 = only the cron endpoint sends queued emails
+const EMAIL_BATCH_SIZE = 50;
+const EMAIL_LOCK_MINUTES = 5; // a claimed email is retried if its sender dies mid-send
+
+function getMemoryEmails() {
+  if (!global.emails) global.emails = new Map();
+  return global.emails;
+}
+
+// What the outbox API shows for an email; the stored message body and attachments are left out
+function summarizeOutboxEmail(email) {
+  return {
+    emailId: email.emailId,
+    bookingId: email.bookingId,
+    type: email.type,
+    template: email.template,
+    to: email.message.to,
+    cc: email.message.cc,
+    bcc: email.message.bcc,
+    subject: email.message.subject,
+    status: email.status,
+    attempts: email.attempts,
+    nextAttemptAt: email.nextAttemptAt,
+    lastError: email.lastError,
+    delivery: email.delivery,
+    sentAt: email.sentAt,
+    resentAt: email.resentAt,
+    createdAt: email.createdAt,
+    updatedAt: email.updatedAt
+  };
+}
+
+// Store an email for the worker to send. `bookingId` links it to its booking; `type` is the sender
+// type (client, organizer, admin) and `template` the { name, version } it was rendered from.
+// Returns { success, emailId, status } - success means queued, not delivered.
+async function enqueueMail(message, { bookingId = null, type = null, template = null } = {}) {
+  const now = new Date();
+  const email = {
+    emailId: crypto.randomUUID(),
+    bookingId: bookingId,
+    type: type,
+    template: template,
+    message: message,
+    status: 'queued',
+    attempts: 0,
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  try {
+    if (emailsCollection) {
+      await emailsCollection.insertOne({ ...email });
+    } else {
+      getMemoryEmails().set(email.emailId, email);
+    }
+  } catch (error) {
+    console.error(`❌ Could not queue email "${message.subject}":`, error.message);
+    return { success: false, error: error.message };
+  }
+
+  console.log(`📬 Queued email "${message.subject}" (${email.emailId})`);
+  wakeEmailWorker();
+  return { success: true, emailId: email.emailId, status: email.status };
+}
+
+async function getEmail(emailId) {
+  if (emailsCollection) {
+    return emailsCollection.findOne({ emailId: emailId }, { projection: { _id: 0 } });
+  }
+  return getMemoryEmails().get(emailId) || null;
+}
+
+// Outbox emails, newest first: { bookingId, status } narrow the list
+async function listEmails({ bookingId, status, limit = 100 } = {}) {
+  const query = {};
+  if (bookingId) query.bookingId = bookingId;
+  if (status) query.status = status;
+
+  if (emailsCollection) {
+    return emailsCollection.find(query, { projection: { _id: 0 } }).sort({ createdAt: -1 }).limit(limit).toArray();
+  }
+  return Array.from(getMemoryEmails().values())
+    .filter(email => Object.entries(query).every(([key, value]) => email[key] === value))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit);
+}
+
+// Claim the next email that is due, the same way reminders are claimed (see claimDueReminder)
+async function claimDueEmail(now) {
+  const lockedUntil = new Date(now.getTime() + EMAIL_LOCK_MINUTES * 60000);
+
+  if (emailsCollection) {
+    return emailsCollection.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedUntil: { $lte: now } }
+        ]
+      },
+      { $set: { status: 'sending', lockedUntil: lockedUntil, updatedAt: now }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: 'after', projection: { _id: 0 } }
+    );
+  }
+
+  const email = Array.from(getMemoryEmails().values())
+    .filter(candidate =>
+      (candidate.status === 'queued' && candidate.nextAttemptAt <= now) ||
+      (candidate.status === 'sending' && candidate.lockedUntil <= now))
+    .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+  if (!email) return null;
+  Object.assign(email, { status: 'sending', lockedUntil: lockedUntil, updatedAt: now, attempts: email.attempts + 1 });
+  return email;
+}
+
+// Record the outcome of a claimed email and release its lock
+async function updateEmail(emailId, updates) {
+  const changes = { ...updates, updatedAt: new Date() };
+  if (emailsCollection) {
+    return emailsCollection.findOneAndUpdate(
+      { emailId: emailId },
+      { $set: changes, $unset: { lockedUntil: '' } },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+  }
+  const email = getMemoryEmails().get(emailId);
+  if (email) {
+    Object.assign(email, changes);
+    delete email.lockedUntil;
+  }
+  return email || null;
+}
+
+// Delay before the next attempt: base, 2x base, 4x base, ...
+function getEmailRetryDelaySeconds(attempts) {
+  return EMAIL_RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+}
+
+// Send every email that is due
+async function processEmailOutbox({ now = new Date(), limit = EMAIL_BATCH_SIZE } = {}) {
+  const summary = { processed: 0, sent: 0, retrying: 0, dead: 0, emails: [] };
+
+  for (let i = 0; i < limit; i++) {
+    const email = await claimDueEmail(now);
+    if (!email) break;
+    summary.processed++;
+
+    const result = await sendMail(email.message);
+    let outcome;
+    if (result.success) {
+      outcome = {
+        status: 'sent',
+        sentAt: new Date(),
+        lastError: null,
+        delivery: { driver: result.driver, messageId: result.messageId, recipients: result.recipients, message: result.message }
+      };
+    } else if (result.retryable && email.attempts < EMAIL_MAX_ATTEMPTS) {
+      outcome = {
+        status: 'queued',
+        nextAttemptAt: new Date(Date.now() + getEmailRetryDelaySeconds(email.attempts) * 1000),
+        lastError: result.error
+      };
+    } else {
+      outcome = { status: 'dead', lastError: result.error };
+      console.error(result.retryable
+        ? `❌ Email "${email.message.subject}" (${email.emailId}) failed ${email.attempts} times, giving up`
+        : `❌ Email "${email.message.subject}" (${email.emailId}) failed permanently, not retrying`);
+    }
+
+    await updateEmail(email.emailId, outcome);
+    summary[outcome.status === 'queued' ? 'retrying' : outcome.status]++;
+    summary.emails.push({
+      emailId: email.emailId,
+      bookingId: email.bookingId,
+      status: outcome.status,
+      attempts: email.attempts,
+      lastError: outcome.lastError || undefined
+    });
+  }
+
+  if (summary.processed > 0) {
+    console.log(`📬 Outbox processed: ${summary.sent} sent, ${summary.retrying} retrying, ${summary.dead} dead`);
+  }
+  return summary;
+}
+
+// Drain the outbox in the background, one run at a time. Emails queued while a run is going are
+// picked up by a follow-up run.
+let emailWorkerRunning = false;
+let emailWorkerRequested = false;
+function wakeEmailWorker() {
+  emailWorkerRequested = true;
+  if (emailWorkerRunning) return;
+
+  emailWorkerRunning = true;
+  setImmediate(async () => {
+    try {
+      while (emailWorkerRequested) {
+        emailWorkerRequested = false;
+        await processEmailOutbox();
+      }
+    } catch (error) {
+      console.error('Error processing email outbox:', error);
+    } finally {
+      emailWorkerRunning = false;
+    }
+  });
+}
+
+// Put an email back in the queue for a fresh set of attempts, whatever its status
+async function resendEmail(emailId) {
+  const email = await getEmail(emailId);
+  if (!email) return null;
+  if (email.status === 'sending' && email.lockedUntil > new Date()) {
+    return { error: 'Email is being sent right now' };
+  }
+
+  const now = new Date();
+  const updated = await updateEmail(emailId, { status: 'queued', attempts: 0, nextAttemptAt: now, resentAt: now });
+  console.log(`📬 Email "${email.message.subject}" (${emailId}) queued again`);
+  wakeEmailWorker();
+  return updated;
+}
+
+// Retry due emails on a long-running server; backoff retries would otherwise wait for the next enqueue.
+// Serverless deployments rely on the cron endpoint instead.
+function startEmailPoller() {
+  if (EMAIL_POLL_SECONDS <= 0 || process.env.VERCEL) return;
+
+  const timer = setInterval(wakeEmailWorker, EMAIL_POLL_SECONDS * 1000);
+  timer.unref();
+  console.log(`📬 Email outbox poller running every ${EMAIL_POLL_SECONDS}s`);
+}
+
+// -------------------
+// 3.2. Send Email Notification
+// -------------------
+// Render an email template (4) and queue the result; `message` holds the recipients and sender.
+// Returns enqueueMail()'s result, or { success: false, error } when the template can't be rendered.
+async function sendTemplatedEmail(templateName, data, message, { bookingId = null, type = null } = {}) {
+  let rendered;
+  try {
+    // Layouts only ask people not to reply when the email has no reply-to
+    rendered = await renderEmailTemplate(templateName, { ...data, acceptsReplies: Boolean(message.replyTo) });
+  } catch (error) {
+    console.error(`❌ Could not render email template "${templateName}":`, error.message);
+    return { success: false, error: error.message };
+  }
+
+  return enqueueMail(
+    { ...message, subject: rendered.subject, html: rendered.html, text: rendered.text },
+    { bookingId: bookingId, type: type, template: { name: templateName, version: rendered.version } }
+  );
+}
+
+// Emails are queued in the outbox (3.1); the result's success means queued, not delivered.
+// mailOptions: optional { attachments, cc, bcc, replyTo } passed to sendMail(); attachments are
+// [{ name, contentType, content }], e.g. the booking's calendar invite.
+// meetingData.cancelled, .reminder and .followUp switch to the cancellation, reminder and follow-up emails.
+async function sendEmailNotification(meetingData, userDetails, mailOptions = {}) {
+  let templateName = 'client-confirmation';
+  if (meetingData.cancelled) {
+    templateName = 'client-cancellation';
+  } else if (meetingData.reminder) {
+    templateName = 'client-reminder';
+  } else if (meetingData.followUp) {
+    templateName = 'client-follow-up';
+  }
+
+  return sendTemplatedEmail(
+    templateName,
+    buildTemplateData(meetingData, userDetails),
+    { ...getMailSender('client', meetingData), ...mailOptions, to: userDetails.email },
+    { bookingId: meetingData.bookingId, type: 'client' }
+  );
+}
+
+// -------------------
+// 4.1. Send Organizer Notification
+// -------------------
+const ORGANIZER_EMAIL_TEMPLATES = {
+  booked: 'organizer-booked',
+  rescheduled: 'organizer-rescheduled',
+  cancelled: 'organizer-cancelled',
+  followUp: 'organizer-follow-up'
+};
+
+async function sendOrganizerNotification(meetingData, organizerEmail, notificationType = 'booked', mailOptions = {}) {
+  return sendTemplatedEmail(
+    ORGANIZER_EMAIL_TEMPLATES[notificationType],
+    buildTemplateData(meetingData),
+    { ...getMailSender('organizer', meetingData), ...mailOptions, to: organizerEmail },
+    { bookingId: meetingData.bookingId, type: 'organizer' }
+  );
+}
+
+// -------------------
+// 4.2. Send Admin Notification
+// -------------------
+const ADMIN_EMAIL_TEMPLATES = {
+  booked: 'admin-booked',
+  rescheduled: 'admin-rescheduled',
+  cancelled: 'admin-cancelled'
+};
+
+async function sendAdminNotification(meetingData, adminEmail, notificationType = 'booked', mailOptions = {}) {
+  return sendTemplatedEmail(
+    ADMIN_EMAIL_TEMPLATES[notificationType],
+    buildTemplateData(meetingData),
+    { ...getMailSender('admin', meetingData), ...mailOptions, to: adminEmail },
+    { bookingId: meetingData.bookingId, type: 'admin' }
+  );
+}
+
+// -------------------
+// 4. Email Templates
+// -------------------
+// Emails are rendered from templates in email-templates/, one file per template. Each file starts with
+// a front matter block (subject, layout, description) followed by the HTML body. Templates use a small
+// Mustache subset:
+//   {{name}} / {{userDetails.email}}  value, HTML-escaped      {{{name}}}  value, unescaped
+//   {{#name}}...{{/name}}             shown when set; repeated for each item of a list ({{.}} is the item)
+//   {{^name}}...{{/name}}             shown when not set or empty     {{> partial-name}}  another template
+// A template's `layout` wraps its rendered body, inserted with {{{body}}}.
+// Admins can save new versions through the API (MongoDB collection `emailTemplates`); the active
+// version replaces the file until it is deactivated. Version 0 is the file shipped with the code.
+const EMAIL_TEMPLATES_DIR = new URL('./email-templates/', import.meta.url);
+const EMAIL_TEMPLATE_NAME_PATTERN = /^[a-z0-9-]+$/;
+const EMAIL_TEMPLATE_MAX_DEPTH = 10; // nested partials and layouts
+
+class TemplateError extends Error {}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Split "---\nkey: value\n---\nbody" into { meta, body }
+function parseTemplateSource(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { meta: {}, body: source };
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (line.trim() && separator > 0) {
+      meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+  return { meta: meta, body: source.slice(match[0].length) };
+}
+
+// Parse a template body into a tree of text, variable, section and partial nodes
+function compileTemplate(body) {
+  // Section, comment and partial tags alone on a line don't leave a blank line behind
+  const source = body.replace(/^[ \t]*(\{\{[#^/!>][^}]*\}\})[ \t]*\r?\n/gm, '$1');
+  const tagPattern = /\{\{(\{?)\s*([#^/>!]?)\s*([^{}]*?)\s*\}\}(\}?)/g;
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(source))) {
+    const [tag, tripleOpen, type, name, tripleClose] = match;
+    const parent = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      parent.children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (type === '!') continue;
+    if (!name) throw new TemplateError(`Empty tag "${tag}"`);
+    if (Boolean(tripleOpen) !== Boolean(tripleClose)) throw new TemplateError(`Unbalanced braces in "${tag}"`);
+
+    if (type === '#' || type === '^') {
+      const section = { type: 'section', name: name, inverted: type === '^', children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (type === '/') {
+      if (stack.length === 1 || parent.name !== name) {
+        throw new TemplateError(`Unexpected {{/${name}}}${stack.length > 1 ? `, expected {{/${parent.name}}}` : ''}`);
+      }
+      stack.pop();
+    } else if (type === '>') {
+      parent.children.push({ type: 'partial', name: name });
+    } else {
+      parent.children.push({ type: 'variable', name: name, raw: Boolean(tripleOpen) });
+    }
+  }
+
+  if (stack.length > 1) throw new TemplateError(`Missing {{/${stack[stack.length - 1].name}}}`);
+  if (lastIndex < source.length) root.children.push({ type: 'text', value: source.slice(lastIndex) });
+  return root.children;
+}
+
+// Look a dotted name up through the context stack, innermost first
+function lookupTemplateValue(contextStack, name) {
+  if (name === '.') return contextStack[contextStack.length - 1];
+
+  const [first, ...rest] = name.split('.');
+  for (let i = contextStack.length - 1; i >= 0; i--) {
+    const context = contextStack[i];
+    if (context && typeof context === 'object' && first in context) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), context[first]);
+    }
+  }
+  return undefined;
+}
+
+function renderTemplateNodes(nodes, contextStack, sources, depth) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    if (node.type === 'variable') {
+      const value = lookupTemplateValue(contextStack, node.name);
+      if (value == null) return '';
+      return node.raw ? String(value) : escapeHtml(value);
+    }
+
+    if (node.type === 'partial') {
+      return renderTemplateBody(node.name, contextStack, sources, depth + 1);
+    }
+
+    const value = lookupTemplateValue(contextStack, node.name);
+    const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+    if (node.inverted) {
+      return isEmpty ? renderTemplateNodes(node.children, contextStack, sources, depth) : '';
+    }
+    if (isEmpty) return '';
+    const items = Array.isArray(value) ? value : [value];
+    return items.map(item => renderTemplateNodes(node.children, [...contextStack, item], sources, depth)).join('');
+  }).join('');
+}
+
+function renderTemplateBody(name, contextStack, sources, depth) {
+  if (depth > EMAIL_TEMPLATE_MAX_DEPTH) throw new TemplateError(`Templates nested more than ${EMAIL_TEMPLATE_MAX_DEPTH} deep at "${name}"`);
+  if (!(name in sources)) throw new TemplateError(`Unknown template "${name}"`);
+  return renderTemplateNodes(compileTemplate(parseTemplateSource(sources[name]).body), contextStack, sources, depth);
+}
+
+// Render `name` with `data`, wrapped in its layout, against `sources` (template name -> source)
+function renderTemplateWithSources(name, data, sources) {
+  if (!(name in sources)) throw new TemplateError(`Unknown template "${name}"`);
+  const { meta } = parseTemplateSource(sources[name]);
+  let html = renderTemplateBody(name, [data], sources, 0);
+  if (meta.layout) {
+    html = renderTemplateBody(meta.layout, [data, { body: html }], sources, 1);
+  }
+  const subject = meta.subject ? renderTemplateNodes(compileTemplate(meta.subject), [data], sources, 0) : '';
+  // Subjects are plain text on one line
+  return { subject: decodeHtmlEntities(subject).replace(/\s+/g, ' ').trim(), html: html.trim() };
+}
+
+function decodeHtmlEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Plain-text version of a rendered email: links become "label (url)", blocks become lines
+function htmlToText(html) {
+  return decodeHtmlEntities(html
+    .replace(/\s+/g, ' ')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, (link, href, label) => {
+      const text = label.replace(/<[^>]+>/g, '').trim();
+      return text && text !== href ? `${text} (${href})` : href;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<\/(li|p)>/gi, '\n')
+    .replace(/<\/(div|h[1-6]|ul|ol|table)>/gi, '\n\n')
+    .replace(/<hr[^>]*>/gi, '\n---\n')
+    .replace(/<[^>]+>/g, ''))
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function loadDefaultEmailTemplates() {
+  const templates = {};
+  for (const file of fs.readdirSync(EMAIL_TEMPLATES_DIR)) {
+    if (file.endsWith('.html')) {
+      templates[file.slice(0, -'.html'.length)] = fs.readFileSync(new URL(file, EMAIL_TEMPLATES_DIR), 'utf8');
+    }
+  }
+  return templates;
+}
+
+const DEFAULT_EMAIL_TEMPLATES = loadDefaultEmailTemplates();
+
+function getMemoryEmailTemplates() {
+  if (!global.emailTemplates) global.emailTemplates = [];
+  return global.emailTemplates;
+}
+
+// Active stored versions: name -> { version, source }
+async function getActiveTemplateVersions() {
+  const active = emailTemplatesCollection
+    ? await emailTemplatesCollection.find({ active: true }, { projection: { _id: 0, name: 1, version: 1, source: 1 } }).toArray()
+    : getMemoryEmailTemplates().filter(template => template.active);
+  return Object.fromEntries(active.map(template => [template.name, { version: template.version, source: template.source }]));
+}
+
+// Every version of a template, newest first (without the default file, version 0)
+async function getTemplateVersions(name) {
+  if (emailTemplatesCollection) {
+    return emailTemplatesCollection.find({ name: name }, { projection: { _id: 0 } }).sort({ version: -1 }).toArray();
+  }
+  return getMemoryEmailTemplates()
+    .filter(template => template.name === name)
+    .sort((a, b) => b.version - a.version);
+}
+
+// Sources to render with: the default files overlaid with active stored versions, plus `drafts`
+async function getTemplateSources(drafts = {}) {
+  const active = await getActiveTemplateVersions();
+  const sources = { ...DEFAULT_EMAIL_TEMPLATES };
+  for (const [name, template] of Object.entries(active)) {
+    if (name in sources) sources[name] = template.source;
+  }
+  return { sources: { ...sources, ...drafts }, versions: active };
+}
+
+// Render a template for sending: { subject, html, text, version }. A broken stored version falls back
+// to the default file so emails keep going out.
+async function renderEmailTemplate(name, data) {
+  const { sources, versions } = await getTemplateSources();
+  try {
+    return { ...renderWithText(name, data, sources), version: versions[name]?.version || 0 };
+  } catch (error) {
+    if (Object.keys(versions).length === 0) throw error;
+    console.error(`❌ Could not render stored email template "${name}", using the default:`, error.message);
+    return { ...renderWithText(name, data, DEFAULT_EMAIL_TEMPLATES), version: 0 };
+  }
+}
+
+function renderWithText(name, data, sources) {
+  const rendered = renderTemplateWithSources(name, data, sources);
+  return { ...rendered, text: htmlToText(rendered.html) };
+}
+
+// Check a new source compiles and renders with the sample data; returns an error message or null
+function validateTemplateSource(name, source, sources) {
+  if (typeof source !== 'string' || !source.trim()) return 'source must be a non-empty string';
+  try {
+    const { meta, body } = parseTemplateSource(source);
+    compileTemplate(body);
+    if (meta.layout && !(meta.layout in sources)) return `Unknown layout "${meta.layout}"`;
+    renderTemplateWithSources(name, buildTemplateData(buildSampleEmailData(name)), { ...sources, [name]: source });
+    return null;
+  } catch (error) {
+    if (error instanceof TemplateError) return error.message;
+    throw error;
+  }
+}
+
+// Store `source` as the next version of a template and make it active
+async function saveTemplateVersion(name, source, note) {
+  const versions = await getTemplateVersions(name);
+  const template = {
+    name: name,
+    version: (versions[0]?.version || 0) + 1,
+    source: source,
+    note: note || null,
+    active: true,
+    createdAt: new Date()
+  };
+
+  if (emailTemplatesCollection) {
+    await emailTemplatesCollection.insertOne({ ...template });
+    await emailTemplatesCollection.updateMany({ name: name, version: { $ne: template.version } }, { $set: { active: false } });
+  } else {
+    versions.forEach(version => { version.active = false; });
+    getMemoryEmailTemplates().push(template);
+  }
+  console.log(`📝 Email template "${name}" saved as version ${template.version}`);
+  return template;
+}
+
+// Make a stored version active again, or 0 to go back to the default file. False when the version doesn't exist.
+async function activateTemplateVersion(name, version) {
+  const versions = await getTemplateVersions(name);
+  if (version !== 0 && !versions.some(template => template.version === version)) return false;
+
+  if (emailTemplatesCollection) {
+    await emailTemplatesCollection.updateMany({ name: name }, [{ $set: { active: { $eq: ['$version', version] } } }]);
+  } else {
+    versions.forEach(template => { template.active = template.version === version; });
+  }
+  console.log(`📝 Email template "${name}" now uses version ${version}`);
+  return true;
+}
+
+// Sample notification data for previews and validation, as passed to buildTemplateData();
+// template-specific fields are filled in for the template being rendered
+function buildSampleEmailData(name) {
+  const sampleBookingId = 'sample-booking';
+  const userDetails = { firstName: 'Jordan', lastName: 'Lee', email: 'jordan.lee@example.com', companyName: 'Acme Foods', revenue: '$1M - $5M' };
+  const data = {
+    bookingId: sampleBookingId,
+    subject: 'Discovery Call with Thrive',
+    meetingTypeName: 'Discovery Call',
+    date: '2026-03-12',
+    time: '3:30 PM',
+    timezone: 'Asia/Kolkata (GMT+5:30)',
+    duration: '30 minutes',
+    meetingLink: 'https://teams.microsoft.com/l/meetup-join/sample',
+    organizerEmail: ORGANIZERS[0].email,
+    organizerName: ORGANIZERS[0].name,
+    userDetails: userDetails,
+    guestEmails: ['sam.patel@example.com'],
+    cancelUrl: buildBookingActionUrl(sampleBookingId, 'cancel'),
+    rescheduleUrl: buildBookingActionUrl(sampleBookingId, 'reschedule'),
+    calendarUrl: buildBookingActionUrl(sampleBookingId, 'calendar')
+  };
+
+  if (name.endsWith('-rescheduled')) Object.assign(data, { previousDate: '2026-03-10', previousTime: '11:00 AM' });
+  if (name.endsWith('-cancellation') || name.endsWith('-cancelled')) data.cancellationReason = 'Something came up';
+  if (name === 'client-reminder') data.timeUntil = '1 hour';
+  if (name === 'client-follow-up') data.feedbackUrl = buildBookingActionUrl(sampleBookingId, 'feedback');
+  if (name === 'organizer-follow-up') {
+    Object.assign(data, {
+      outcomeUrl: buildBookingActionUrl(sampleBookingId, 'outcome'),
+      attendanceUrl: buildBookingActionUrl(sampleBookingId, 'attendance')
+    });
+  }
+  return data;
+}
+
+// Fields emails use as link targets. Escaping stops markup injection, but not a javascript: or data: URL
+// in an href, so these must be http(s) links; the Teams join link must be https.
+const EMAIL_LINK_FIELDS = ['cancelUrl', 'rescheduleUrl', 'calendarUrl', 'feedbackUrl', 'outcomeUrl', 'attendanceUrl'];
+
+// The URL as given when it is absolute and uses one of `protocols`, otherwise null
+function toSafeUrl(value, protocols = ['https:', 'http:']) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  try {
+    return protocols.includes(new URL(value.trim()).protocol) ? value.trim() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The variables templates see: the notification data, with defaults and a few derived values.
+// Unsafe links are dropped here; every value is HTML-escaped when the template inserts it.
+function buildTemplateData(meetingData, recipient) {
+  const meetingTypeName = meetingData.meetingTypeName || 'Discovery Call';
+  const guestEmails = meetingData.guestEmails || [];
+  const meetingLink = toSafeUrl(meetingData.meetingLink, ['https:']);
+  if (meetingData.meetingLink && !meetingLink) {
+    console.error(`❌ Dropped meeting link with an unsupported scheme for booking ${meetingData.bookingId || '(none)'}`);
+  }
+  const links = Object.fromEntries(EMAIL_LINK_FIELDS
+    .filter(field => meetingData[field] !== undefined)
+    .map(field => [field, toSafeUrl(meetingData[field])]));
+
+  return {
+    ...meetingData,
+    ...links,
+    meetingTitle: meetingData.subject || 'Meeting',
+    meetingTypeName: meetingTypeName,
+    meetingTypeNameLower: meetingTypeName.toLowerCase(),
+    duration: meetingData.duration || '30 minutes',
+    meetingLink: meetingLink || '#',
+    guestList: guestEmails.join(', '),
+    guestCount: guestEmails.length,
+    recipient: recipient || meetingData.userDetails
+  };
+}
+
+// -------------------
+// 4.3. Booking Helpers
+// -------------------
+// Convert time to 12-hour format for user-friendly email display
+function formatTimeForEmail(time24h) {
+  const [hours, minutes] = time24h.split(':');
+  const hour12 = parseInt(hours) % 12 || 12;
+  const ampm = parseInt(hours) >= 12 ? 'PM' : 'AM';
+  return `${hour12}:${minutes} ${ampm}`;
+}
+
+// Rebuild the data the notification templates expect from a stored booking
+function buildBookingNotificationData(booking) {
+  const meetingType = getMeetingType(booking.meetingType) || getMeetingType();
+  return {
+    bookingId: booking.bookingId,
+    subject: booking.meeting?.subject || meetingType.subject,
+    meetingTypeName: meetingType.name,
+    closingLine: meetingType.templates.closingLine,
+    organizerActions: meetingType.templates.organizerActions,
+    date: booking.date,
+    time: formatTimeForEmail(booking.time),
+    timezone: 'Asia/Kolkata (GMT+5:30)',
+    duration: formatDuration(booking.durationMinutes || meetingType.durationMinutes),
+    meetingLink: booking.meeting?.joinUrl,
+    userDetails: booking.userDetails,
+    guestEmails: booking.guestEmails || [],
+    organizerEmail: booking.organizerEmail,
+    organizerName: booking.organizerName
+  };
+}
+
+// The client followed by each guest, as the userDetails the client email templates expect
+function getClientRecipients(booking) {
+  return [
+    booking.userDetails,
+    ...(booking.guestEmails || [])
+      .filter(guestEmail => guestEmail !== booking.userDetails.email)
+      .map(guestEmail => ({
+        firstName: guestEmail.split('@')[0].split('.')[0],
+        lastName: guestEmail.split('@')[0].split('.')[1] || '',
+        email: guestEmail
+      }))
+  ];
+}
+
+// Cancel an active booking: release its slot, remove the Teams meeting and notify organizer and admin
+async function cancelBooking(booking, reason) {
+  const cancelledBooking = await updateBooking(booking.bookingId, {
+    status: 'cancelled',
+    slotKeys: undefined,
+    cancelledAt: new Date(),
+    cancellationReason: reason || null,
+    calendarSequence: (booking.calendarSequence || 0) + 1
+  }, { onlyIfActive: true });
+
+  if (!cancelledBooking) {
+    return { success: false, alreadyCancelled: true };
+  }
+  
+  await skipBookingReminders(booking.bookingId, 'Booking cancelled');
+
+  const meetingCancellation = booking.meeting
+    ? await cancelTeamsMeeting(booking.meeting, booking.organizerEmail, 'The client has cancelled this meeting.')
+    : { success: true, message: 'No meeting attached to booking' };
+
+  const notificationData = {
+    ...buildBookingNotificationData(booking),
+    cancellationReason: reason
+  };
+
+  const notificationResults = [];
+  
+  // The client and guests get a calendar cancellation that removes the invite they were sent
+  const calendarCancellation = buildCalendarAttachment(cancelledBooking, 'CANCEL');
+  const visitorNotificationData = {
+    ...notificationData,
+    ...formatEmailTimeFields(booking.startDateTime, booking.visitorTimezone || BUSINESS_TIMEZONE),
+    cancelled: true
+  };
+  for (const recipient of getClientRecipients(booking)) {
+    try {
+      const result = await sendEmailNotification(visitorNotificationData, recipient, { attachments: [calendarCancellation] });
+      notificationResults.push({ recipient: recipient.email, success: result.success, emailId: result.emailId });
+    } catch (error) {
+      console.error('Error sending cancellation email to:', recipient.email, error);
+      notificationResults.push({ recipient: recipient.email, success: false, error: error.message });
+    }
+  }
+  
+  try {
+    const organizerResult = await sendOrganizerNotification(notificationData, booking.organizerEmail, 'cancelled');
+    notificationResults.push({ recipient: booking.organizerEmail, success: organizerResult.success, emailId: organizerResult.emailId, type: 'organizer_cancellation' });
+  } catch (error) {
+    console.error('Error sending organizer cancellation notice:', error);
+    notificationResults.push({ recipient: booking.organizerEmail, success: false, error: error.message, type: 'organizer_cancellation' });
+  }
+
+  const adminEmail = process.env.ADMIN_EMAIL || "admin@thrivebrands.ai";
+  if (adminEmail !== booking.organizerEmail) {
+    try {
+      const adminResult = await sendAdminNotification(notificationData, adminEmail, 'cancelled');
+      notificationResults.push({ recipient: adminEmail, success: adminResult.success, emailId: adminResult.emailId, type: 'admin_cancellation' });
+    } catch (error) {
+      console.error('Error sending admin cancellation notice:', error);
+      notificationResults.push({ recipient: adminEmail, success: false, error: error.message, type: 'admin_cancellation' });
+    }
+  }
+
+  const updatedBooking = await updateBooking(booking.bookingId, {
+    meetingCancellation: meetingCancellation,
+    cancellationEmailResults: notificationResults
+  });
+
+  return {
+    success: true,
+    booking: updatedBooking,
+    meetingCancellation: meetingCancellation,
+    emailResults: notificationResults
+  };
+}
+
+// -------------------
+// 4.4. Slot Validation
+// -------------------
+// Bookable days and hours come from the availability rules (section 0.6), in the Noida timezone
+const BUSINESS_TIMEZONE = 'Asia/Kolkata';
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Convert time format to 24-hour format (supports both 12-hour and 24-hour input)
+function convertTo24Hour(timeInput) {
+  // Check if it's already in 24-hour format (no AM/PM and hour >= 13)
+  if (!timeInput.includes('AM') && !timeInput.includes('PM')) {
+    // It's 24-hour format, only pad the hour (e.g. "9:30" -> "09:30")
+    const [hours, minutes] = timeInput.split(':');
+    return `${hours.padStart(2, '0')}:${minutes}`;
+  }
+  
+  // It's 12-hour format, convert to 24-hour
+  const [time, modifier] = timeInput.split(' ');
+  let [hours, minutes] = time.split(':');
+  
+  if (hours === '12') {
+    hours = '00';
+  }
+  
+  if (modifier === 'PM') {
+    hours = parseInt(hours, 10) + 12;
+  }
+  
+  // Convert hours to string and pad with leading zero if needed
+  const hoursStr = hours.toString().padStart(2, '0');
+  return `${hoursStr}:${minutes}`;
+}
+
+// Check a date (YYYY-MM-DD) and 24-hour time against the day's availability windows.
+// Returns the same message/reason pair used by the slot endpoints.
+function checkBusinessHours(dayAvailability, time24h, durationMinutes) {
+  const start = timeToMinutes(time24h);
+  const isBusinessDay = dayAvailability.windows.length > 0;
+  const isBusinessHours = isBusinessDay && fitsInWindows(dayAvailability.windows, start, start + durationMinutes);
+  const hours = describeWindows(dayAvailability.windows);
+  
+  let message = null;
+  let reason = null;
+  if (dayAvailability.blackout) {
+    message = `Meetings cannot be scheduled on ${dayAvailability.date} (${dayAvailability.reason})`;
+    reason = dayAvailability.reason;
+  } else if (!isBusinessDay) {
+    message = dayAvailability.source === 'override'
+      ? `Meetings cannot be scheduled on ${dayAvailability.date}${dayAvailability.reason ? ` (${dayAvailability.reason})` : ''}`
+      : `Meetings cannot be scheduled on ${DAY_NAMES[dayAvailability.dayOfWeek]}s`;
+    reason = 'Outside business days';
+  } else if (!isBusinessHours) {
+    message = `Meetings on this day can only be scheduled between ${hours} (Noida time), and a ${formatDuration(durationMinutes)} meeting must end within those hours`;
+    reason = 'Outside business hours';
+  }
+  
+  return { isBusinessDay, isBusinessHours, businessHours: hours, message, reason };
+}
+
+function describeLimitReason(limitReason) {
+  return limitReason === 'Weekly limit reached'
+    ? 'No more meetings can be booked with our team this week. Please pick a date in another week.'
+    : 'No more meetings can be booked with our team on this day. Please pick another date.';
+}
+
+// Today's date and the current minute in the business timezone
+function getBusinessNow() {
+  const now = new Date();
+  return {
+    date: now.toLocaleDateString('en-CA', { timeZone: BUSINESS_TIMEZONE }), // YYYY-MM-DD format
+    minutes: timeToMinutes(now.toLocaleTimeString('en-GB', { timeZone: BUSINESS_TIMEZONE, hour12: false }).slice(0, 5))
+  };
+}
+
+// Earliest bookable { date, minutes } for a meeting type: now plus its minimum notice,
+// counted only while the business is open (availability windows, overrides and blackouts)
+async function getEarliestBookableTime(meetingType, now = getBusinessNow()) {
+  let remaining = Math.round(meetingType.minimumNoticeHours * 60);
+  if (remaining === 0) return now;
+  
+  const lastDate = addDays(now.date, Math.max(meetingType.maxAdvanceDays, 14));
+  const days = await getAvailabilityForRange(now.date, lastDate);
+  for (const [date, day] of days) {
+    for (const window of day.windows) {
+      const from = date === now.date ? Math.max(window.start, now.minutes) : window.start;
+      if (from >= window.end) continue;
+      if (window.end - from >= remaining) return { date: date, minutes: from + remaining };
+      remaining -= window.end - from;
+    }
+  }
+  return { date: addDays(lastDate, 1), minutes: 0 };
+}
+
+// Past slots, minimum notice and the booking horizon. Returns { reason, message } when the
+// slot cannot be booked yet (or any more), otherwise null.
+function checkBookingWindow(date, time24h, meetingType, earliest, now = getBusinessNow()) {
+  const start = timeToMinutes(time24h);
+  const before = (point) => date < point.date || (date === point.date && start < point.minutes);
+  
+  if (date < now.date || (date === now.date && start <= now.minutes)) {
+    return { reason: 'Past time slot', message: 'Cannot schedule meetings in the past' };
+  }
+  if (date > addDays(now.date, meetingType.maxAdvanceDays)) {
+    return {
+      reason: 'Beyond booking horizon',
+      message: `Meetings can only be booked up to ${meetingType.maxAdvanceDays} days in advance`
+    };
+  }
+  if (before(earliest)) {
+    return {
+      reason: 'Minimum notice',
+      message: `Meetings must be booked at least ${meetingType.minimumNoticeHours} business hours in advance. The earliest available time is ${earliest.date} at ${formatTimeForEmail(minutesToTime(earliest.minutes))}`
+    };
+  }
+  return null;
+}
+
+// Apply the business rules used by /api/check-availability to a date (YYYY-MM-DD) and 24-hour time.
+// The whole meeting (per its meeting type's duration) must fit in one availability window, respect the
+// type's minimum notice, horizon and buffers, and at least one organizer in the pool (the meeting type's
+// pool unless `organizers` is given) must be free. A hold matching holdToken belongs to the caller and
+// does not block the slot.
+async function checkSlotAvailability(date, time24h, { holdToken, meetingType = getMeetingType(), excludeBooking, organizers } = {}) {
+  const durationMinutes = meetingType.durationMinutes;
+  const selectedDateTime = new Date(`${date}T${time24h}:00`);
+  const hour = selectedDateTime.getHours();
+  
+  const dayAvailability = await getDateAvailability(date);
+  const { isBusinessDay, isBusinessHours, businessHours, message: hoursMessage, reason: hoursReason } =
+    checkBusinessHours(dayAvailability, time24h, durationMinutes);
+  
+  // Check it's not in the past, too soon or too far ahead (timezone-aware comparison)
+  const now = getBusinessNow();
+  const windowCheck = checkBookingWindow(date, time24h, meetingType, await getEarliestBookableTime(meetingType, now), now);
+  const isFuture = windowCheck?.reason !== 'Past time slot';
+  
+  // Check if every organizer is already booked, at their meeting limit, busy in their own calendar or held by another visitor
+  const { unbooked, withinBuffer, limitReason, available: calendarFree, free: freeOrganizers } = await findFreeOrganizers(
+    date, time24h, meetingType, organizers || getOrganizerPool(meetingType), { holdToken, excludeBooking }
+  );
+  const isBooked = unbooked.length === 0;
+  const isLimitReached = Boolean(limitReason);
+  const isOrganizerBusy = !isBooked && !isLimitReached && calendarFree.length === 0;
+  const isHeld = !isBooked && !isLimitReached && !isOrganizerBusy && freeOrganizers.length === 0;
+  
+  const available = isBusinessHours && !windowCheck && !isBooked && !isLimitReached && !isOrganizerBusy && !isHeld;
+  
+  let message = '';
+  let reason = '';
+  if (hoursReason) {
+    message = hoursMessage;
+    reason = hoursReason;
+  } else if (windowCheck) {
+    message = windowCheck.message;
+    reason = windowCheck.reason;
+  } else if (isBooked && withinBuffer.length > 0) {
+    message = 'This time is too close to another meeting';
+    reason = 'Buffer time';
+  } else if (isBooked) {
+    message = 'This time slot is already booked';
+    reason = 'Already booked';
+  } else if (isLimitReached) {
+    message = describeLimitReason(limitReason);
+    reason = limitReason;
+  } else if (isOrganizerBusy) {
+    message = 'The organizer is not available at this time';
+    reason = 'Organizer busy';
+  } else if (isHeld) {
+    message = 'This time slot is on hold while another visitor completes their booking';
+    reason = 'On hold';
+  } else {
+    message = 'Time slot is available';
+    reason = 'Available';
+  }
+  
+  return {
+    available,
+    message,
+    reason,
+    dayOfWeek: DAY_NAMES[dayAvailability.dayOfWeek],
+    hour,
+    businessHours,
+    isBusinessDay,
+    isWeekday: isBusinessDay, // kept for existing clients; true when the date has bookable hours
+    isBusinessHours,
+    isFuture,
+    isBooked,
+    isLimitReached,
+    isOrganizerBusy,
+    isHeld,
+    freeOrganizers
+  };
+}
+
+// Build the slot grid for one business date: every start time on the meeting type's grid within
+// each availability window, for meetings that end before the window closes, with its availability.
+// `closed` is set (with the message/reason pair) when the date has no bookable hours.
+function buildDaySlots(dayAvailability, dayState, meetingType, organizerPool, { now, earliest, visitorTimezone } = {}) {
+  const date = dayAvailability.date;
+  const day = {
+    date,
+    dayOfWeek: DAY_NAMES[dayAvailability.dayOfWeek],
+    businessHours: describeWindows(dayAvailability.windows),
+    closed: null,
+    slots: []
+  };
+  
+  // Check if the date has any bookable hours (weekly rules, date overrides and blackouts)
+  if (dayAvailability.windows.length === 0) {
+    const closedCheck = checkBusinessHours(dayAvailability, '00:00', meetingType.durationMinutes);
+    day.closed = { message: closedCheck.message, reason: closedCheck.reason };
+    return day;
+  }
+  
+  // A meeting may span several grid cells, so each candidate slot is checked for overlap over its full duration.
+  // A slot is open while at least one organizer in the meeting type's pool is free.
+  // Slots held by other visitors are shown as unavailable until their hold expires.
+  const candidateStarts = [];
+  for (const window of dayAvailability.windows) {
+    for (let start = window.start; start + meetingType.durationMinutes <= window.end; start += meetingType.slotIntervalMinutes) {
+      candidateStarts.push(start);
+    }
+  }
+  
+  for (const start of candidateStarts) {
+    const slotTime = minutesToTime(start);
+    
+    // Check if slot is in the past, inside the minimum notice or beyond the booking horizon
+    const windowCheck = checkBookingWindow(date, slotTime, meetingType, earliest, now);
+    
+    // Check if every organizer has a clashing booking (counting buffers), is at their meeting limit,
+    // has a calendar event or someone else's hold
+    const { unbooked, withinBuffer, limitReason, available, free } = splitOrganizersBySlot(
+      organizerPool, buildSlotInterval(slotTime, meetingType), dayState
+    );
+    const isBooked = unbooked.length === 0;
+    const isOrganizerBusy = !isBooked && !limitReason && available.length === 0;
+    const isHeld = !isBooked && !limitReason && !isOrganizerBusy && free.length === 0;
+    
+    // Slot is available if it's bookable now, not booked, under the limits, the organizer is free and it is not on hold
+    const isAvailable = !windowCheck && !isBooked && !limitReason && !isOrganizerBusy && !isHeld;
+    
+    // Determine reason for availability status
+    let reason = 'Available';
+    if (windowCheck) {
+      reason = windowCheck.reason;
+    } else if (isBooked && withinBuffer.length > 0) {
+      reason = 'Buffer time';
+    } else if (isBooked) {
+      reason = 'Already booked';
+    } else if (limitReason) {
+      reason = limitReason;
+    } else if (isOrganizerBusy) {
+      reason = 'Organizer busy';
+    } else if (isHeld) {
+      reason = 'On hold';
+    }
+    
+    const startDateTime = zonedTimeToInstant(date, slotTime, BUSINESS_TIMEZONE);
+    const endDateTime = new Date(startDateTime.getTime() + meetingType.durationMinutes * 60000);
+    day.slots.push({
+      ...describeSlotTimes(startDateTime, endDateTime, visitorTimezone),
+      available: isAvailable,
+      reason: reason,
+      availableOrganizers: isAvailable ? free.length : 0
+    });
+  }
+  
+  return day;
+}
+
+// Longest range /api/available-slots/range accepts, which is also the most Graph getSchedule returns at once
+const AVAILABILITY_RANGE_MAX_DAYS = 62;
+
+// Slot grids for every business date in a range (inclusive). The availability rules and the organizers'
+// bookings, holds, calendars and limits are each loaded once for the whole range. `organizers`
+// replaces the meeting type's pool, and `excludeBooking` ignores a booking that is being moved.
+async function getSlotsForRange(fromDate, toDate, meetingType, { holdToken, visitorTimezone, organizers, excludeBooking } = {}) {
+  const organizerPool = organizers || getOrganizerPool(meetingType);
+  
+  // Get current time in Noida timezone and the earliest time the minimum notice allows
+  const now = getBusinessNow();
+  const [availability, dayStates, earliest] = await Promise.all([
+    getAvailabilityForRange(fromDate, toDate),
+    getOrganizerRangeState(fromDate, toDate, organizerPool, meetingType, { holdToken, excludeBooking }),
+    getEarliestBookableTime(meetingType, now)
+  ]);
+  
+  const days = [];
+  for (const [date, dayAvailability] of availability) {
+    days.push(buildDaySlots(dayAvailability, dayStates.get(date), meetingType, organizerPool, { now, earliest, visitorTimezone }));
+  }
+  return { days, earliest };
+}
+
+// Alternatives offered when a requested slot can't be booked, and how far /api/next-available looks at a time
+const SUGGESTION_COUNT = 3;
+const SUGGESTION_SEARCH_DAYS = 7;
+const NEXT_AVAILABLE_SEARCH_DAYS = 14;
+const NEXT_AVAILABLE_MAX_COUNT = 20;
+
+// Parts of the day /api/next-available can be limited to, as local start-time minutes.
+// Evening only has slots for visitors whose timezone is behind the business hours.
+const DAY_PERIODS = {
+  morning: { start: 0, end: 12 * 60 },
+  afternoon: { start: 12 * 60, end: 18 * 60 },
+  evening: { start: 18 * 60, end: 24 * 60 }
+};
+
+// The first `count` open slots from a date (default today) up to the booking horizon, in time order.
+// `period` keeps slots starting in that part of the day; with a visitor timezone both `fromDate`
+// and the period are read in the visitor's zone. Other options are passed to getSlotsForRange.
+async function findNextOpenSlots(meetingType, { fromDate, count = SUGGESTION_COUNT, period, visitorTimezone, ...options } = {}) {
+  const today = getBusinessNow().date;
+  const lastDate = addDays(today, meetingType.maxAdvanceDays);
+  const startDate = fromDate && visitorTimezone ? getBusinessDatesForVisitorDay(fromDate, visitorTimezone)[0] : fromDate;
+  const inPeriod = slot => {
+    if (!period) return true;
+    const start = timeToMinutes((slot.visitor || slot).time);
+    return start >= DAY_PERIODS[period].start && start < DAY_PERIODS[period].end;
+  };
+  
+  // Search a couple of weeks at a time, so nearby openings don't load the whole horizon
+  const openSlots = [];
+  let from = startDate && startDate > today ? startDate : today;
+  while (from <= lastDate && openSlots.length < count) {
+    const to = addDays(from, NEXT_AVAILABLE_SEARCH_DAYS - 1) < lastDate ? addDays(from, NEXT_AVAILABLE_SEARCH_DAYS - 1) : lastDate;
+    const { days } = await getSlotsForRange(from, to, meetingType, { ...options, visitorTimezone });
+    openSlots.push(...days
+      .flatMap(day => day.slots)
+      .filter(slot => slot.available && inPeriod(slot))
+      .filter(slot => !fromDate || (slot.visitor || slot).date >= fromDate));
+    from = addDays(to, 1);
+  }
+  return openSlots.slice(0, count);
+}
+
+// The open slots nearest to one that can't be booked: within a week either side of it, closest first
+// (listed in time order), or the next open slots from today when none are that close. Returns an
+// empty list rather than throwing, so a failed lookup never hides the original error.
+async function suggestAlternativeSlots(date, time24h, meetingType, options = {}) {
+  try {
+    if (!isValidDateString(date) || !/^([01]\d|2[0-3]):[0-5]\d$/.test(time24h)) {
+      return [];
+    }
+    
+    const requestedStart = zonedTimeToInstant(date, time24h, BUSINESS_TIMEZONE).getTime();
+    const distance = slot => Math.abs(Date.parse(slot.start) - requestedStart);
+    const today = getBusinessNow().date;
+    const from = addDays(date, -SUGGESTION_SEARCH_DAYS) > today ? addDays(date, -SUGGESTION_SEARCH_DAYS) : today;
+    const to = addDays(date, SUGGESTION_SEARCH_DAYS);
+    
+    if (from <= to) {
+      const { days } = await getSlotsForRange(from, to, meetingType, options);
+      const nearest = days
+        .flatMap(day => day.slots)
+        .filter(slot => slot.available)
+        .sort((a, b) => distance(a) - distance(b) || Date.parse(a.start) - Date.parse(b.start))
+        .slice(0, SUGGESTION_COUNT);
+      if (nearest.length > 0) {
+        return nearest.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+      }
+    }
+    return await findNextOpenSlots(meetingType, options);
+  } catch (error) {
+    console.error('Error finding alternative slots:', error);
+    return [];
+  }
+}
+
+// The slots of one requested date, taken from business-date grids. With a visitor timezone the date is
+// the visitor's local date: it can overlap two business dates, and only slots starting on it are kept.
+// `closed` is the first business date's message/reason pair when none of them has bookable hours.
+function getSlotsForDate(date, days, visitorTimezone) {
+  const businessDates = visitorTimezone ? getBusinessDatesForVisitorDay(date, visitorTimezone) : [date];
+  const businessDays = days.filter(day => businessDates.includes(day.date));
+  return {
+    businessDays,
+    closed: businessDays.every(day => day.closed) ? businessDays[0].closed : null,
+    slots: businessDays.flatMap(day => day.slots).filter(slot => !visitorTimezone || slot.visitor.date === date)
+  };
+}
+
+// Move an active booking to a new slot: reserve the new slot, update the Teams meeting,
+// release the old slot and notify everyone involved. Rolls back if the meeting update fails.
+// The client and guests are emailed in the visitor's timezone, the organizer and admin in the business timezone.
+async function rescheduleBooking(booking, newDate, newTime24h, visitorTimezone = booking.visitorTimezone) {
+  const durationMinutes = booking.durationMinutes || 30;
+  const startDateTime = new Date(`${newDate}T${newTime24h}:00+05:30`);
+  const endDateTime = new Date(startDateTime.getTime() + durationMinutes * 60000);
+  const previousSlot = {
+    date: booking.date,
+    time: booking.time,
+    endTime: booking.endTime,
+    slotKeys: booking.slotKeys || buildSlotKeys(booking.date, booking.time, durationMinutes, booking.organizerEmail),
+    startDateTime: booking.startDateTime,
+    endDateTime: booking.endDateTime,
+    visitorTimezone: booking.visitorTimezone || null,
+    calendarSequence: booking.calendarSequence || 0
+  };
+  
+  // Moving the booking to the new slot reserves it and releases the old one in a single write
+  let movedBooking;
+  try {
+    movedBooking = await updateBooking(booking.bookingId, {
+      date: newDate,
+      time: newTime24h,
+      endTime: minutesToTime(timeToMinutes(newTime24h) + durationMinutes),
+      slotKeys: buildSlotKeys(newDate, newTime24h, durationMinutes, booking.organizerEmail),
+      startDateTime: startDateTime.toISOString(),
+      endDateTime: endDateTime.toISOString(),
+      visitorTimezone: visitorTimezone || null,
+      // Calendars only apply an update to the invite when its SEQUENCE goes up
+      calendarSequence: (booking.calendarSequence || 0) + 1
+    }, { onlyIfActive: true });
+  } catch (error) {
+    if (isSlotConflictError(error)) {
+      return { success: false, status: 409, error: "This time slot is already booked", conflictingSlot: { date: newDate, time: newTime24h } };
+    }
+    throw error;
+  }
+  
+  if (!movedBooking) {
+    return { success: false, status: 409, error: "Booking is no longer active" };
+  }
+  
+  // Another booking may have claimed a slot within the buffers, or the organizer's last place under a
+  // meeting limit, while this one moved
+  const conflict = await findClaimConflict(movedBooking, getMeetingType(booking.meetingType) || getMeetingType());
+  if (conflict) {
+    try {
+      await updateBooking(booking.bookingId, previousSlot);
+      return { success: false, status: 409, error: `This time slot is no longer available (${conflict})`, conflictingSlot: { date: newDate, time: newTime24h } };
+    } catch (error) {
+      if (!isSlotConflictError(error)) throw error;
+      // The old slot is gone too; keeping the new one beats leaving the client without a meeting
+      console.error(`⚠️ Booking ${booking.bookingId} kept on ${newDate} ${newTime24h} despite a buffer clash: its old slot was taken`);
+    }
+  }
+  
+  const meetingUpdate = booking.meeting
+    ? await rescheduleTeamsMeeting(booking.meeting, booking.organizerEmail, startDateTime.toISOString(), endDateTime.toISOString())
+    : { success: true, message: 'No meeting attached to booking' };
+  
+  if (!meetingUpdate.success) {
+    try {
+      await updateBooking(booking.bookingId, previousSlot);
+    } catch (error) {
+      if (!isSlotConflictError(error)) throw error;
+      
+      // Another booking took the old slot while the Teams update was running. The booking keeps the
+      // new slot and is flagged, so an admin can move the Teams meeting by hand.
+      console.error(`❌ Booking ${booking.bookingId} could not go back to ${previousSlot.date} ${previousSlot.time}: the slot was taken. Its Teams meeting still needs moving.`);
+      await updateBooking(booking.bookingId, {
+        repairNeeded: {
+          reason: 'Teams meeting is still at the previous time',
+          meetingStartDateTime: previousSlot.startDateTime,
+          meetingEndDateTime: previousSlot.endDateTime,
+          error: meetingUpdate.error,
+          flaggedAt: new Date()
+        }
+      });
+      return {
+        success: false,
+        status: 502,
+        error: "Failed to update Teams meeting. The booking was moved to the new slot and has been flagged for manual repair.",
+        details: meetingUpdate.error,
+        repairNeeded: true
+      };
+    }
+    return { success: false, status: 502, error: "Failed to update Teams meeting", details: meetingUpdate.error };
+  }
+  
+  // Reminders follow the meeting to its new time
+  await skipBookingReminders(booking.bookingId, 'Booking moved');
+  await scheduleBookingReminders(movedBooking);
+  
+  const previousDisplay = {
+    previousDate: previousSlot.date,
+    previousTime: formatTimeForEmail(previousSlot.time)
+  };
+  const notificationData = {
+    ...buildBookingNotificationData(movedBooking),
+    ...previousDisplay
+  };
+  const visitorEmailTimes = formatEmailTimeFields(startDateTime, visitorTimezone || BUSINESS_TIMEZONE);
+  const previousVisitorEmailTimes = formatEmailTimeFields(previousSlot.startDateTime, visitorTimezone || BUSINESS_TIMEZONE);
+  const visitorNotificationData = {
+    ...notificationData,
+    ...visitorEmailTimes,
+    previousDate: previousVisitorEmailTimes.date,
+    previousTime: previousVisitorEmailTimes.time
+  };
+  const calendarInvite = buildCalendarAttachment(movedBooking);
+  
+  const emailResults = [];
+  
+  // Send to the client, with fresh manage links
+  try {
+    const userEmailResult = await sendEmailNotification({
+      ...visitorNotificationData,
+      cancelUrl: buildBookingActionUrl(booking.bookingId, 'cancel'),
+      rescheduleUrl: buildBookingActionUrl(booking.bookingId, 'reschedule'),
+      calendarUrl: buildBookingActionUrl(booking.bookingId, 'calendar')
+    }, booking.userDetails, { attachments: [calendarInvite] });
+    emailResults.push({ recipient: booking.userDetails.email, success: userEmailResult.success, emailId: userEmailResult.emailId });
+  } catch (error) {
+    console.error('Error sending reschedule email to client:', error);
+    emailResults.push({ recipient: booking.userDetails.email, success: false, error: error.message });
+  }
+  
+  // Send to guests
+  for (const guestEmail of booking.guestEmails || []) {
+    if (guestEmail === booking.userDetails.email) continue;
+    
+    const guestDetails = {
+      firstName: guestEmail.split('@')[0].split('.')[0],
+      lastName: guestEmail.split('@')[0].split('.')[1] || '',
+      email: guestEmail
+    };
+    
+    try {
+      const guestEmailResult = await sendEmailNotification(visitorNotificationData, guestDetails, { attachments: [calendarInvite] });
+      emailResults.push({ recipient: guestEmail, success: guestEmailResult.success, emailId: guestEmailResult.emailId });
+    } catch (error) {
+      console.error('Error sending reschedule email to guest:', guestEmail, error);
+      emailResults.push({ recipient: guestEmail, success: false, error: error.message });
+    }
+  }
+  
+  try {
+    const organizerResult = await sendOrganizerNotification(notificationData, booking.organizerEmail, 'rescheduled');
+    emailResults.push({ recipient: booking.organizerEmail, success: organizerResult.success, emailId: organizerResult.emailId, type: 'organizer_reschedule' });
+  } catch (error) {
+    console.error('Error sending organizer reschedule notice:', error);
+    emailResults.push({ recipient: booking.organizerEmail, success: false, error: error.message, type: 'organizer_reschedule' });
+  }
+  
+  const adminEmail = process.env.ADMIN_EMAIL || "admin@thrivebrands.ai";
+  if (adminEmail !== booking.organizerEmail) {
+    try {
+      const adminResult = await sendAdminNotification(notificationData, adminEmail, 'rescheduled');
+      emailResults.push({ recipient: adminEmail, success: adminResult.success, emailId: adminResult.emailId, type: 'admin_reschedule' });
+    } catch (error) {
+      console.error('Error sending admin reschedule notice:', error);
+      emailResults.push({ recipient: adminEmail, success: false, error: error.message, type: 'admin_reschedule' });
+    }
+  }
+  
+  const rescheduleHistory = [
+    ...(booking.rescheduleHistory || []),
+    {
+      from: { date: previousSlot.date, time: previousSlot.time },
+      to: { date: newDate, time: newTime24h },
+      rescheduledAt: new Date(),
+      emailResults: emailResults
+    }
+  ];
+  const updatedBooking = await updateBooking(booking.bookingId, { rescheduleHistory: rescheduleHistory });
+  
+  return {
+    success: true,
+    booking: updatedBooking,
+    meetingUpdate: meetingUpdate,
+    emailResults: emailResults
+  };
+}
+
+// Minimal standalone page for links opened straight from an email
+function renderBookingActionPage(title, message, actionHtml = '') {
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${title} - Thrive</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; padding: 0 20px;">
+    <h2 style="color: #1A5069;">${title}</h2>
+    <p>${message}</p>
+    ${actionHtml}
+  </body>
+</html>`;
+}
+
+// -------------------
+// 4.5. Visitor Time Zones
+// -------------------
+// Slots are stored and checked in the business timezone. Visitors can pass an IANA `timezone`
+// to send and receive times in their own zone; conversions go through absolute instants,
+// so daylight saving changes in the visitor's zone are applied by Intl.
+const zoneFormatters = new Map();
+
+// True for IANA zone names the runtime knows, e.g. "America/New_York"
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function invalidTimeZoneResponse(timeZone) {
+  return {
+    error: "Invalid timezone",
+    timezone: timeZone,
+    example: "America/New_York"
+  };
+}
+
+// Wall-clock date (YYYY-MM-DD), 24-hour time and UTC offset in minutes of an instant in a zone
+function getZonedParts(instant, timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZoneName: 'longOffset'
+    }));
+  }
+  const parts = Object.fromEntries(zoneFormatters.get(timeZone).formatToParts(instant).map(part => [part.type, part.value]));
+  // "GMT-04:00", or plain "GMT" for UTC
+  const offset = /GMT([+-])(\d{2}):(\d{2})/.exec(parts.timeZoneName);
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    offsetMinutes: offset ? (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3])) : 0
+  };
+}
+
+// "+05:30" style offset for ISO-8601 strings
+function formatIsoOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+// "GMT+5:30" style offset for emails
+function formatGmtOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  return `GMT${sign}${Math.floor(absolute / 60)}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+// Instant for a wall-clock date and time in a zone, or null when the time is skipped
+// by a DST change. Times repeated when the clocks go back resolve to the first occurrence.
+function zonedTimeToInstant(date, time24h, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time24h.split(':').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hours, minutes);
+  
+  // The offset in force has to be one of the offsets a day either side
+  const offsets = new Set([-1, 1].map(days =>
+    getZonedParts(new Date(wallClockAsUtc + days * 86400000), timeZone).offsetMinutes
+  ));
+  const matches = [...offsets]
+    .map(offsetMinutes => new Date(wallClockAsUtc - offsetMinutes * 60000))
+    .filter(instant => {
+      const parts = getZonedParts(instant, timeZone);
+      return parts.date === date && parts.time === time24h;
+    })
+    .sort((a, b) => a - b);
+  
+  return matches[0] || null;
+}
+
+// ISO-8601 string with the zone's offset, e.g. "2025-09-10T10:00:00+05:30"
+function toZonedIsoString(instant, timeZone) {
+  const parts = getZonedParts(instant, timeZone);
+  return `${parts.date}T${parts.time}:00${formatIsoOffset(parts.offsetMinutes)}`;
+}
+
+// Business date and 24-hour time for a visitor's local date and time.
+// Returns null when the local time does not exist in the visitor's zone.
+function visitorToBusinessTime(date, time24h, timeZone) {
+  if (!timeZone || timeZone === BUSINESS_TIMEZONE) {
+    return { date, time: time24h };
+  }
+  const instant = zonedTimeToInstant(date, time24h, timeZone);
+  if (!instant) {
+    return null;
+  }
+  const business = getZonedParts(instant, BUSINESS_TIMEZONE);
+  return { date: business.date, time: business.time };
+}
+
+// Business dates that overlap a visitor's local date (one or two)
+function getBusinessDatesForVisitorDay(date, timeZone) {
+  // Some zones skip midnight when DST starts, so fall back to 01:00
+  const startOfDay = day => zonedTimeToInstant(day, '00:00', timeZone) || zonedTimeToInstant(day, '01:00', timeZone);
+  const first = getZonedParts(startOfDay(date), BUSINESS_TIMEZONE).date;
+  const last = getZonedParts(new Date(startOfDay(addDays(date, 1)).getTime() - 60000), BUSINESS_TIMEZONE).date;
+  
+  const dates = [];
+  for (let day = first; day <= last; day = addDays(day, 1)) {
+    dates.push(day);
+  }
+  return dates;
+}
+
+// A slot in one zone: local date, 24-hour and display times, and ISO-8601 start/end with offsets
+function describeSlotInZone(start, end, timeZone) {
+  const local = getZonedParts(start, timeZone);
+  return {
+    timezone: timeZone,
+    date: local.date,
+    time: local.time,
+    endTime: getZonedParts(end, timeZone).time,
+    displayTime: formatTimeForEmail(local.time),
+    start: toZonedIsoString(start, timeZone),
+    end: toZonedIsoString(end, timeZone)
+  };
+}
+
+// A slot as returned to clients: business timezone fields, plus `visitor` when the visitor gave a timezone
+function describeSlotTimes(start, end, visitorTimezone) {
+  const slot = describeSlotInZone(start, end, BUSINESS_TIMEZONE);
+  if (visitorTimezone) {
+    slot.visitor = describeSlotInZone(start, end, visitorTimezone);
+  }
+  return slot;
+}
+
+// Resolve a requested date and time (12- or 24-hour) to the business date and 24-hour time.
+// With a visitor timezone they are read as the visitor's local time. Returns `{ error }`
+// with a 400 response body for an unknown zone or a local time skipped by a DST change.
+function resolveRequestedSlot(date, time, timeZone, durationMinutes) {
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return { error: invalidTimeZoneResponse(timeZone) };
+  }
+  
+  const time24h = convertTo24Hour(time);
+  const isWellFormed = isValidDateString(date) && /^([01]\d|2[0-3]):[0-5]\d$/.test(time24h);
+  const isImpossibleDate = /^\d{4}-\d{2}-\d{2}$/.test(date) && !isValidDateString(date);
+  if ((timeZone && !isWellFormed) || isImpossibleDate) {
+    return { error: { error: "Invalid date or time", date, time } };
+  }
+  
+  const business = visitorToBusinessTime(date, time24h, timeZone);
+  if (!business) {
+    return {
+      error: {
+        error: `${time} on ${date} does not exist in ${timeZone} because the clocks go forward that day`,
+        reason: "Nonexistent local time",
+        date,
+        time,
+        timezone: timeZone
+      }
+    };
+  }
+  
+  let times;
+  if (isWellFormed) {
+    const start = zonedTimeToInstant(business.date, business.time, BUSINESS_TIMEZONE);
+    if (!start) {
+      return { error: { error: "Invalid date or time", date, time } };
+    }
+    times = describeSlotTimes(start, new Date(start.getTime() + durationMinutes * 60000), timeZone);
+  }
+  return { date: business.date, time: business.time, times };
+}
+
+// Date, time and zone label for an email, in the recipient's timezone
+function formatEmailTimeFields(startDateTime, timeZone = BUSINESS_TIMEZONE) {
+  const local = getZonedParts(new Date(startDateTime), timeZone);
+  return {
+    date: local.date,
+    time: formatTimeForEmail(local.time),
+    timezone: `${timeZone} (${formatGmtOffset(local.offsetMinutes)})`
+  };
+}
+
+// -------------------
+// 4.6. Calendar Invites
+// -------------------
+// RFC 5545 invites attached to the client's emails and served for "Add to calendar" buttons.
+// The UID is tied to the booking, so calendars update the same event when it is rescheduled
+// (SEQUENCE goes up with every change) and remove it when it is cancelled (METHOD:CANCEL).
+const ICS_PRODUCT_ID = '-//Thrive//Teams Booking//EN';
+
+function getBookingCalendarUid(booking) {
+  return `${booking.bookingId}@thrivebrands.ai`;
+}
+
+// Escape a TEXT value (RFC 5545 3.3.11)
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Quote a parameter value such as CN; double quotes aren't allowed inside it
+function quoteIcsParam(value) {
+  return `"${String(value).replace(/"/g, "'")}"`;
+}
+
+// Fold lines longer than 75 octets onto continuation lines starting with a space (RFC 5545 3.1)
+function foldIcsLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// "YYYYMMDDTHHMMSSZ"
+function toIcsUtc(instant) {
+  return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// "YYYYMMDDTHHMMSS" in the business timezone, for DTSTART/DTEND with a TZID
+function toIcsBusinessLocal(instant) {
+  const parts = getZonedParts(new Date(instant), BUSINESS_TIMEZONE);
+  return `${parts.date.replace(/-/g, '')}T${parts.time.replace(':', '')}00`;
+}
+
+// iCalendar document for a booking. `method` is REQUEST for emailed invites, PUBLISH for
+// downloads and CANCEL once the booking is cancelled.
+function buildBookingCalendar(booking, method = 'REQUEST') {
+  const meetingType = getMeetingType(booking.meetingType) || getMeetingType();
+  const joinUrl = booking.meeting?.joinUrl;
+  const clientName = `${booking.userDetails.firstName || ''} ${booking.userDetails.lastName || ''}`.trim();
+  const attendees = [
+    { name: clientName, email: booking.userDetails.email },
+    ...(booking.guestEmails || [])
+      .filter(email => email !== booking.userDetails.email)
+      .map(email => ({ email }))
+  ];
+  // The business timezone has no daylight saving, so one STANDARD rule describes it
+  const offset = formatIsoOffset(getZonedParts(new Date(booking.startDateTime), BUSINESS_TIMEZONE).offsetMinutes).replace(':', '');
+  
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VTIMEZONE',
+    `TZID:${BUSINESS_TIMEZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    `TZOFFSETFROM:${offset}`,
+    `TZOFFSETTO:${offset}`,
+    'TZNAME:IST',
+    'END:STANDARD',
+    'END:VTIMEZONE',
+    'BEGIN:VEVENT',
+    `UID:${getBookingCalendarUid(booking)}`,
+    `SEQUENCE:${booking.calendarSequence || 0}`,
+    `DTSTAMP:${toIcsUtc(new Date())}`,
+    `DTSTART;TZID=${BUSINESS_TIMEZONE}:${toIcsBusinessLocal(booking.startDateTime)}`,
+    `DTEND;TZID=${BUSINESS_TIMEZONE}:${toIcsBusinessLocal(booking.endDateTime)}`,
+    `SUMMARY:${escapeIcsText(booking.meeting?.subject || meetingType.subject)}`,
+    `DESCRIPTION:${escapeIcsText(joinUrl ? `Join Microsoft Teams Meeting: ${joinUrl}` : meetingType.name)}`,
+    'LOCATION:Microsoft Teams Meeting',
+    ...(joinUrl ? [`URL:${joinUrl}`] : []),
+    ...(booking.organizerEmail
+      ? [`ORGANIZER;CN=${quoteIcsParam(booking.organizerName || booking.organizerEmail)}:mailto:${booking.organizerEmail}`]
+      : []),
+    ...attendees.map(attendee =>
+      `ATTENDEE;${attendee.name ? `CN=${quoteIcsParam(attendee.name)};` : ''}ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${attendee.email}`
+    ),
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// The booking's invite as an email attachment ({ name, contentType, content })
+function buildCalendarAttachment(booking, method = 'REQUEST') {
+  return {
+    name: method === 'CANCEL' ? 'cancellation.ics' : 'invite.ics',
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+    content: buildBookingCalendar(booking, method)
+  };
+}
+
+// -------------------
+// 4.7. Booking Reminders
+// -------------------
+// Reminder emails to the client and guests ahead of each meeting. One record per reminder is stored
+// when a booking is confirmed, so pending reminders survive restarts. Due reminders are sent by the
+// cron endpoint (Vercel Cron) or, on a long-running server, by an in-process poller.
+// Offsets are set with REMINDER_OFFSETS, e.g. "24h,1h"; meeting types can set their own `reminderOffsets`.
+// The post-meeting follow-up (4.8) and attendance check (4.9) are stored and run the same way,
+// as records with kind 'followUp' and 'attendance'.
+const REMINDERS_ENABLED = process.env.REMINDERS_ENABLED !== 'false';
+const REMINDER_POLL_SECONDS = numberFromEnv('REMINDER_POLL_SECONDS', 60); // 0 = only the cron endpoint sends reminders
+const REMINDER_BATCH_SIZE = 50;
+const REMINDER_MAX_ATTEMPTS = 3;
+const REMINDER_LOCK_MINUTES = 5; // a claimed reminder is retried if its sender dies mid-send
+
+// "24h", "90m", "2d" or a plain number of hours -> minutes; null when invalid
+function parseReminderOffset(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([mhd]?)$/i);
+  if (!match) return null;
+  const unitMinutes = { m: 1, h: 60, d: 1440 }[(match[2] || 'h').toLowerCase()];
+  const minutes = Math.round(parseFloat(match[1]) * unitMinutes);
+  return minutes > 0 ? minutes : null;
+}
+
+// Offsets in minutes, largest first
+function parseReminderOffsets(values) {
+  const list = Array.isArray(values) ? values : String(values).split(',');
+  const minutes = list.map(parseReminderOffset).filter(Boolean);
+  return [...new Set(minutes)].sort((a, b) => b - a);
+}
+
+const REMINDER_OFFSETS = parseReminderOffsets(process.env.REMINDER_OFFSETS || '24h,1h');
+
+function getReminderOffsets(meetingType) {
+  return meetingType?.reminderOffsets ? parseReminderOffsets(meetingType.reminderOffsets) : REMINDER_OFFSETS;
+}
+
+// How long until the meeting, as shown in the reminder ("24 hours", "1 hour", "15 minutes")
+function formatTimeUntil(minutes) {
+  if (minutes >= 90) return `${Math.round(minutes / 60)} hours`;
+  if (minutes >= 45) return '1 hour';
+  return `${Math.max(5, Math.round(minutes / 5) * 5)} minutes`;
+}
+
+function getMemoryReminders() {
+  if (!global.reminders) global.reminders = new Map();
+  return global.reminders;
+}
+
+// Create the reminders, follow-up and attendance check for a confirmed booking. Reminders whose send time has already
+// passed are left out. Each reminder is only sent before the next one is due (`sendBefore`), so a
+// server that was down doesn't send several reminders at once.
+async function scheduleBookingReminders(booking, now = new Date()) {
+  const meetingStart = new Date(booking.startDateTime);
+  const meetingType = getMeetingType(booking.meetingType);
+  const offsets = REMINDERS_ENABLED ? getReminderOffsets(meetingType) : [];
+  const afterMeeting = [buildFollowUpRecord(booking, meetingType, now), buildAttendanceCheckRecord(booking, now)].filter(Boolean);
+  const reminders = offsets
+    .map((offsetMinutes, index) => ({
+      reminderId: crypto.randomUUID(),
+      bookingId: booking.bookingId,
+      kind: 'reminder',
+      offsetMinutes: offsetMinutes,
+      meetingStart: booking.startDateTime,
+      sendAt: new Date(meetingStart.getTime() - offsetMinutes * 60000),
+      sendBefore: index + 1 < offsets.length
+        ? new Date(meetingStart.getTime() - offsets[index + 1] * 60000)
+        : meetingStart,
+      status: 'scheduled',
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now
+    }))
+    .filter(reminder => reminder.sendBefore > now)
+    .concat(afterMeeting);
+
+  if (reminders.length === 0) return [];
+
+  try {
+    if (remindersCollection) {
+      await remindersCollection.insertMany(reminders.map(reminder => ({ ...reminder })));
+    } else {
+      reminders.forEach(reminder => getMemoryReminders().set(reminder.reminderId, reminder));
+    }
+    console.log(`⏰ ${reminders.length} reminder(s) scheduled for booking ${booking.bookingId}`);
+    return reminders;
+  } catch (error) {
+    console.error('Error scheduling reminders for booking:', booking.bookingId, error);
+    return [];
+  }
+}
+
+// Skip a booking's unsent reminders, e.g. because it was cancelled or moved
+async function skipBookingReminders(bookingId, reason) {
+  const changes = { status: 'skipped', skipReason: reason, updatedAt: new Date() };
+  try {
+    if (remindersCollection) {
+      const result = await remindersCollection.updateMany({ bookingId: bookingId, status: 'scheduled' }, { $set: changes });
+      return result.modifiedCount;
+    }
+    const pending = Array.from(getMemoryReminders().values())
+      .filter(reminder => reminder.bookingId === bookingId && reminder.status === 'scheduled');
+    pending.forEach(reminder => Object.assign(reminder, changes));
+    return pending.length;
+  } catch (error) {
+    console.error('Error skipping reminders for booking:', bookingId, error);
+    return 0;
+  }
+}
+
+async function getBookingReminders(bookingId) {
+  if (remindersCollection) {
+    return remindersCollection.find({ bookingId: bookingId }, { projection: { _id: 0 } }).sort({ sendAt: 1 }).toArray();
+  }
+  return Array.from(getMemoryReminders().values())
+    .filter(reminder => reminder.bookingId === bookingId)
+    .sort((a, b) => a.sendAt - b.sendAt);
+}
+
+// Claim the next due reminder so concurrent runs (overlapping cron calls, several instances) never
+// send it twice. Reminders left 'sending' by a run that died are claimed again once their lock expires.
+async function claimDueReminder(now) {
+  const lockedUntil = new Date(now.getTime() + REMINDER_LOCK_MINUTES * 60000);
+
+  if (remindersCollection) {
+    return remindersCollection.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'scheduled', sendAt: { $lte: now } },
+          { status: 'sending', lockedUntil: { $lte: now } }
+        ]
+      },
+      { $set: { status: 'sending', lockedUntil: lockedUntil, updatedAt: now }, $inc: { attempts: 1 } },
+      { sort: { sendAt: 1 }, returnDocument: 'after', projection: { _id: 0 } }
+    );
+  }
+
+  const reminder = Array.from(getMemoryReminders().values())
+    .filter(candidate =>
+      (candidate.status === 'scheduled' && candidate.sendAt <= now) ||
+      (candidate.status === 'sending' && candidate.lockedUntil <= now))
+    .sort((a, b) => a.sendAt - b.sendAt)[0];
+  if (!reminder) return null;
+  Object.assign(reminder, { status: 'sending', lockedUntil: lockedUntil, updatedAt: now, attempts: reminder.attempts + 1 });
+  return reminder;
+}
+
+// Record the outcome of a claimed reminder and release its lock
+async function updateReminder(reminderId, updates) {
+  const changes = { ...updates, updatedAt: new Date() };
+  if (remindersCollection) {
+    await remindersCollection.updateOne({ reminderId: reminderId }, { $set: changes, $unset: { lockedUntil: '' } });
+    return;
+  }
+  const reminder = getMemoryReminders().get(reminderId);
+  if (reminder) {
+    Object.assign(reminder, changes);
+    delete reminder.lockedUntil;
+  }
+}
+
+function isReminderKindEnabled(kind = 'reminder') {
+  return { reminder: REMINDERS_ENABLED, followUp: FOLLOW_UP_ENABLED, attendance: ATTENDANCE_TRACKING_ENABLED }[kind] ?? false;
+}
+
+// Why a claimed reminder should not be sent, or null when it should
+function getReminderSkipReason(reminder, booking, now) {
+  if (!isReminderKindEnabled(reminder.kind)) return 'Disabled';
+  if (!booking) return 'Booking not found';
+  if (booking.status !== 'confirmed') return `Booking ${booking.status}`;
+  // Reschedules skip the old reminders straight away; this also catches a move that raced with the send
+  if (booking.startDateTime !== reminder.meetingStart) return 'Booking moved';
+  if (now >= new Date(reminder.sendBefore)) return 'Send window passed';
+  // No thank-you for a meeting the client didn't join
+  if (reminder.kind === 'followUp' && booking.attendance?.status === 'no-show') return 'Client did not attend';
+  return null;
+}
+
+// Email the reminder to the client and guests, each in the visitor's timezone
+async function sendBookingReminder(booking, now) {
+  const minutesUntil = Math.round((new Date(booking.startDateTime) - now) / 60000);
+  const reminderData = {
+    ...buildBookingNotificationData(booking),
+    ...formatEmailTimeFields(booking.startDateTime, booking.visitorTimezone || BUSINESS_TIMEZONE),
+    reminder: true,
+    timeUntil: formatTimeUntil(minutesUntil)
+  };
+
+  const emailResults = [];
+  for (const recipient of getClientRecipients(booking)) {
+    // Only the booking owner's copy carries the manage links
+    const recipientData = recipient.email === booking.userDetails.email
+      ? {
+          ...reminderData,
+          cancelUrl: buildBookingActionUrl(booking.bookingId, 'cancel'),
+          rescheduleUrl: buildBookingActionUrl(booking.bookingId, 'reschedule'),
+          calendarUrl: buildBookingActionUrl(booking.bookingId, 'calendar')
+        }
+      : reminderData;
+    try {
+      const result = await sendEmailNotification(recipientData, recipient);
+      emailResults.push({ recipient: recipient.email, success: result.success, emailId: result.emailId });
+    } catch (error) {
+      console.error('Error sending reminder email to:', recipient.email, error);
+      emailResults.push({ recipient: recipient.email, success: false, error: error.message });
+    }
+  }
+  return emailResults;
+}
+
+// Send every reminder that is due. A reminder none of whose emails could be queued is retried on the next run,
+// up to REMINDER_MAX_ATTEMPTS attempts. Attendance checks retry on their own schedule (4.9).
+async function processDueReminders({ now = new Date(), limit = REMINDER_BATCH_SIZE } = {}) {
+  const summary = { processed: 0, sent: 0, completed: 0, skipped: 0, retrying: 0, failed: 0, reminders: [] };
+
+  for (let i = 0; i < limit; i++) {
+    const reminder = await claimDueReminder(now);
+    if (!reminder) break;
+    summary.processed++;
+
+    const booking = await getBooking(reminder.bookingId);
+    const skipReason = getReminderSkipReason(reminder, booking, now);
+    let outcome;
+
+    if (skipReason) {
+      outcome = { status: 'skipped', skipReason: skipReason };
+    } else if (reminder.kind === 'attendance') {
+      outcome = await runAttendanceCheck(booking, now);
+    } else {
+      const emailResults = reminder.kind === 'followUp'
+        ? await sendBookingFollowUp(booking)
+        : await sendBookingReminder(booking, now);
+      if (emailResults.some(result => result.success)) {
+        outcome = { status: 'sent', sentAt: new Date(), emailResults: emailResults };
+      } else {
+        outcome = {
+          status: reminder.attempts < REMINDER_MAX_ATTEMPTS ? 'scheduled' : 'failed',
+          lastError: emailResults.find(result => result.error)?.error || 'No reminder emails could be queued',
+          emailResults: emailResults
+        };
+      }
+    }
+
+    await updateReminder(reminder.reminderId, outcome);
+    const summaryKey = outcome.status === 'scheduled' ? 'retrying' : outcome.status;
+    summary[summaryKey]++;
+    summary.reminders.push({
+      reminderId: reminder.reminderId,
+      bookingId: reminder.bookingId,
+      kind: reminder.kind || 'reminder',
+      offsetMinutes: reminder.offsetMinutes,
+      status: outcome.status,
+      skipReason: outcome.skipReason
+    });
+  }
+
+  if (summary.processed > 0) {
+    console.log(`⏰ Reminders processed: ${summary.sent} sent, ${summary.completed} completed, ${summary.skipped} skipped, ${summary.retrying} retrying, ${summary.failed} failed`);
+  }
+  return summary;
+}
+
+// Poll for due reminders, follow-ups and attendance checks on a long-running server. Serverless
+// deployments rely on the cron endpoint instead.
+function startReminderPoller() {
+  if (!['reminder', 'followUp', 'attendance'].some(isReminderKindEnabled) || REMINDER_POLL_SECONDS <= 0 || process.env.VERCEL) return;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueReminders();
+    } catch (error) {
+      console.error('Error processing reminders:', error);
+    } finally {
+      running = false;
+    }
+  }, REMINDER_POLL_SECONDS * 1000);
+  timer.unref();
+  console.log(`⏰ Reminder poller running every ${REMINDER_POLL_SECONDS}s`);
+}
+
+// -------------------
+// 4.8. Follow-ups and Feedback
+// -------------------
+// A while after each meeting ends, the client gets a thank-you with a link to a short feedback form
+// and the organizer is asked to log how the call went. The delay is FOLLOW_UP_DELAY (e.g. "2h");
+// meeting types can set their own `followUpDelay`, or false to send no follow-up.
+const FOLLOW_UP_ENABLED = process.env.FOLLOW_UP_ENABLED !== 'false';
+const FOLLOW_UP_DELAY_MINUTES = parseReminderOffset(process.env.FOLLOW_UP_DELAY || '2h') || 120;
+const FOLLOW_UP_WINDOW_DAYS = 3; // a follow-up that could not go out within this time is dropped
+const FEEDBACK_COMMENT_MAX_LENGTH = 2000;
+
+const CALL_OUTCOMES = {
+  qualified: 'Qualified - next steps agreed',
+  'follow-up': 'Needs another conversation',
+  'not-a-fit': 'Not a fit'
+};
+
+function getFollowUpDelay(meetingType) {
+  if (meetingType?.followUpDelay === false) return null;
+  return meetingType?.followUpDelay !== undefined ? parseReminderOffset(meetingType.followUpDelay) : FOLLOW_UP_DELAY_MINUTES;
+}
+
+// The follow-up's scheduler record (see 4.7), or null when the booking gets no follow-up
+function buildFollowUpRecord(booking, meetingType, now) {
+  const delayMinutes = FOLLOW_UP_ENABLED ? getFollowUpDelay(meetingType) : null;
+  if (!delayMinutes) return null;
+
+  const sendAt = new Date(new Date(booking.endDateTime).getTime() + delayMinutes * 60000);
+  return {
+    reminderId: crypto.randomUUID(),
+    bookingId: booking.bookingId,
+    kind: 'followUp',
+    delayMinutes: delayMinutes,
+    meetingStart: booking.startDateTime,
+    sendAt: sendAt,
+    sendBefore: new Date(sendAt.getTime() + FOLLOW_UP_WINDOW_DAYS * 24 * 60 * 60000),
+    status: 'scheduled',
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Thank the client (with the feedback link) and ask the organizer to log the outcome
+async function sendBookingFollowUp(booking) {
+  const notificationData = buildBookingNotificationData(booking);
+  const emailResults = [];
+
+  try {
+    const clientResult = await sendEmailNotification({
+      ...notificationData,
+      ...formatEmailTimeFields(booking.startDateTime, booking.visitorTimezone || BUSINESS_TIMEZONE),
+      followUp: true,
+      feedbackUrl: buildBookingActionUrl(booking.bookingId, 'feedback')
+    }, booking.userDetails);
+    emailResults.push({ recipient: booking.userDetails.email, success: clientResult.success, emailId: clientResult.emailId, type: 'client_follow_up' });
+  } catch (error) {
+    console.error('Error sending follow-up email to client:', error);
+    emailResults.push({ recipient: booking.userDetails.email, success: false, error: error.message, type: 'client_follow_up' });
+  }
+
+  try {
+    const organizerResult = await sendOrganizerNotification({
+      ...notificationData,
+      outcomeUrl: buildBookingActionUrl(booking.bookingId, 'outcome'),
+      attendanceUrl: buildBookingActionUrl(booking.bookingId, 'attendance')
+    }, booking.organizerEmail, 'followUp');
+    emailResults.push({ recipient: booking.organizerEmail, success: organizerResult.success, emailId: organizerResult.emailId, type: 'organizer_follow_up' });
+  } catch (error) {
+    console.error('Error sending follow-up notice to organizer:', error);
+    emailResults.push({ recipient: booking.organizerEmail, success: false, error: error.message, type: 'organizer_follow_up' });
+  }
+
+  return emailResults;
+}
+
+// Feedback and outcomes can only be given for meetings that took place
+function checkMeetingEnded(booking, now = new Date()) {
+  if (booking.status !== 'confirmed') {
+    return { error: "This meeting did not take place", status: booking.status };
+  }
+  if (new Date(booking.endDateTime) > now) {
+    return { error: "This is only available once the meeting has ended", endDateTime: booking.endDateTime };
+  }
+  return null;
+}
+
+// Validate a feedback form; returns { feedback } or { error }
+function parseFeedback({ rating, comment } = {}) {
+  const value = Number(rating);
+  if (rating === undefined || rating === '' || !Number.isInteger(value) || value < 1 || value > 5) {
+    return { error: "rating must be a whole number from 1 to 5" };
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+    return { error: "comment must be a string" };
+  }
+  const text = (comment || '').trim();
+  if (text.length > FEEDBACK_COMMENT_MAX_LENGTH) {
+    return { error: `comment must be at most ${FEEDBACK_COMMENT_MAX_LENGTH} characters` };
+  }
+  return { feedback: { rating: value, comment: text || null, submittedAt: new Date() } };
+}
+
+// Validate an organizer's outcome form; returns { callOutcome } or { error }
+function parseCallOutcome({ outcome, notes } = {}) {
+  if (!CALL_OUTCOMES[outcome]) {
+    return { error: `outcome must be one of: ${Object.keys(CALL_OUTCOMES).join(', ')}` };
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return { error: "notes must be a string" };
+  }
+  const text = (notes || '').trim();
+  if (text.length > FEEDBACK_COMMENT_MAX_LENGTH) {
+    return { error: `notes must be at most ${FEEDBACK_COMMENT_MAX_LENGTH} characters` };
+  }
+  return { callOutcome: { outcome: outcome, notes: text || null, loggedAt: new Date() } };
+}
+
+// Client feedback and logged outcomes for meetings between two dates (either may be left open),
+// grouped by organizer
+async function getFeedbackByOrganizer({ organizerEmail, fromDate, toDate } = {}) {
+  const inRange = booking => (!fromDate || booking.date >= fromDate) && (!toDate || booking.date <= toDate);
+  let bookings;
+  if (bookingsCollection) {
+    const filter = { $or: [{ feedback: { $exists: true } }, { callOutcome: { $exists: true } }] };
+    if (fromDate || toDate) {
+      filter.date = {};
+      if (fromDate) filter.date.$gte = fromDate;
+      if (toDate) filter.date.$lte = toDate;
+    }
+    bookings = await bookingsCollection
+      .find(filter)
+      .project({ _id: 0, bookingId: 1, date: 1, time: 1, meetingType: 1, userDetails: 1, organizerEmail: 1, organizerName: 1, feedback: 1, callOutcome: 1 })
+      .sort({ date: 1, time: 1 })
+      .toArray();
+  } else {
+    bookings = Array.from(getMemoryBookings().values())
+      .filter(booking => (booking.feedback || booking.callOutcome) && inRange(booking))
+      .sort((a, b) => `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`));
+  }
+
+  const byOrganizer = new Map();
+  for (const booking of bookings) {
+    if (organizerEmail && !sameEmail(booking.organizerEmail, organizerEmail)) continue;
+
+    const key = (booking.organizerEmail || '').toLowerCase();
+    if (!byOrganizer.has(key)) {
+      byOrganizer.set(key, {
+        organizerEmail: booking.organizerEmail || null,
+        organizerName: booking.organizerName || null,
+        responses: 0,
+        averageRating: null,
+        ratings: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+        outcomes: Object.fromEntries(Object.keys(CALL_OUTCOMES).map(outcome => [outcome, 0])),
+        meetings: []
+      });
+    }
+    const summary = byOrganizer.get(key);
+    if (booking.feedback) {
+      summary.responses++;
+      summary.ratings[booking.feedback.rating]++;
+    }
+    if (booking.callOutcome) summary.outcomes[booking.callOutcome.outcome]++;
+    summary.meetings.push({
+      bookingId: booking.bookingId,
+      date: booking.date,
+      time: booking.time,
+      meetingType: booking.meetingType || DEFAULT_MEETING_TYPE,
+      client: {
+        name: `${booking.userDetails.firstName || ''} ${booking.userDetails.lastName || ''}`.trim(),
+        email: booking.userDetails.email,
+        companyName: booking.userDetails.companyName || null
+      },
+      feedback: booking.feedback || null,
+      callOutcome: booking.callOutcome || null
+    });
+  }
+
+  return Array.from(byOrganizer.values()).map(summary => {
+    const total = Object.entries(summary.ratings).reduce((sum, [rating, count]) => sum + rating * count, 0);
+    return {
+      ...summary,
+      averageRating: summary.responses > 0 ? Math.round((total / summary.responses) * 100) / 100 : null
+    };
+  });
+}
+
+// -------------------
+// 4.9. Attendance
+// -------------------
+// Shortly after each meeting ends, its Teams attendance report (2.3) is stored on the booking as
+// `attendance`, with join/leave times per attendee, and the booking is marked 'attended' or 'no-show'.
+// Reports can take a while to appear, so the check is retried every ATTENDANCE_RETRY_MINUTES for a day.
+// The check runs through the reminder scheduler (4.7) as a record with kind 'attendance'.
+// Organizers can override the status; an override survives later refreshes of the report.
+const ATTENDANCE_TRACKING_ENABLED = process.env.ATTENDANCE_TRACKING_ENABLED !== 'false';
+const ATTENDANCE_CHECK_DELAY_MINUTES = parseReminderOffset(process.env.ATTENDANCE_CHECK_DELAY || '15m') || 15;
+const ATTENDANCE_RETRY_MINUTES = 30;
+const ATTENDANCE_CHECK_WINDOW_HOURS = 24;
+const ATTENDANCE_STATUSES = ['attended', 'no-show'];
+
+// The attendance check's scheduler record, or null when attendance isn't tracked for the booking
+function buildAttendanceCheckRecord(booking, now) {
+  if (!ATTENDANCE_TRACKING_ENABLED || !booking.meeting) return null;
+
+  const sendAt = new Date(new Date(booking.endDateTime).getTime() + ATTENDANCE_CHECK_DELAY_MINUTES * 60000);
+  return {
+    reminderId: crypto.randomUUID(),
+    bookingId: booking.bookingId,
+    kind: 'attendance',
+    meetingStart: booking.startDateTime,
+    sendAt: sendAt,
+    sendBefore: new Date(sendAt.getTime() + ATTENDANCE_CHECK_WINDOW_HOURS * 60 * 60000),
+    status: 'scheduled',
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Who a person in the report is to the booking
+function getAttendeeParticipant(booking, email, role) {
+  if (sameEmail(email, booking.organizerEmail) || role === 'Organizer') return 'organizer';
+  if (sameEmail(email, booking.userDetails.email)) return 'client';
+  if ((booking.guestEmails || []).some(guestEmail => sameEmail(guestEmail, email))) return 'guest';
+  return 'other'; // e.g. a client who joined from the browser without signing in
+}
+
+// One entry per person, merging rejoins and multiple reports (e.g. when the meeting was restarted)
+function summarizeAttendanceRecords(records, booking) {
+  const byPerson = new Map();
+  for (const record of records) {
+    const email = record.emailAddress || null;
+    const name = record.identity?.displayName || null;
+    const key = (email || name || record.identity?.id || record.id || 'unknown').toLowerCase();
+    if (!byPerson.has(key)) {
+      byPerson.set(key, {
+        email: email,
+        name: name,
+        role: record.role || null,
+        participant: getAttendeeParticipant(booking, email, record.role),
+        intervals: [],
+        totalAttendanceSeconds: 0
+      });
+    }
+    const person = byPerson.get(key);
+    const intervals = (record.attendanceIntervals || []).map(interval => ({
+      joinDateTime: interval.joinDateTime,
+      leaveDateTime: interval.leaveDateTime || null,
+      durationSeconds: interval.durationInSeconds ?? 0
+    }));
+    person.intervals.push(...intervals);
+    person.totalAttendanceSeconds += record.totalAttendanceInSeconds
+      ?? intervals.reduce((sum, interval) => sum + interval.durationSeconds, 0);
+  }
+
+  return Array.from(byPerson.values()).map(person => {
+    const intervals = person.intervals.sort((a, b) => a.joinDateTime.localeCompare(b.joinDateTime));
+    const leaveTimes = intervals.map(interval => interval.leaveDateTime).filter(Boolean).sort();
+    return {
+      ...person,
+      intervals: intervals,
+      joinDateTime: intervals[0]?.joinDateTime || null,
+      leaveDateTime: leaveTimes[leaveTimes.length - 1] || null
+    };
+  });
+}
+
+// Fetch the meeting's attendance report and store it on the booking. The meeting counts as attended
+// when anyone other than the organizer joined. Returns { ready: false } while Teams has no report yet.
+async function refreshBookingAttendance(booking) {
+  if (!booking.meeting) {
+    return { ready: false, error: 'Booking has no Teams meeting' };
+  }
+
+  const records = await getTeamsAttendanceRecords(booking.meeting, booking.organizerEmail);
+  if (!records) {
+    return { ready: false, error: 'Attendance report not available yet' };
+  }
+
+  const attendees = summarizeAttendanceRecords(records, booking);
+  const teamsStatus = attendees.some(attendee => attendee.participant !== 'organizer' && attendee.totalAttendanceSeconds > 0)
+    ? 'attended'
+    : 'no-show';
+  const override = booking.attendance?.override;
+  const updatedBooking = await updateBooking(booking.bookingId, {
+    attendance: {
+      status: override ? override.status : teamsStatus,
+      source: override ? 'manual' : 'teams',
+      teamsStatus: teamsStatus,
+      attendees: attendees,
+      checkedAt: new Date(),
+      ...(override ? { override: override } : {})
+    }
+  });
+
+  console.log(`👥 Attendance for booking ${booking.bookingId}: ${teamsStatus} (${attendees.length} in report)`);
+  return { ready: true, attendance: updatedBooking.attendance };
+}
+
+// Run a scheduled attendance check and return the scheduler record's outcome (see processDueReminders)
+async function runAttendanceCheck(booking, now) {
+  try {
+    const result = await refreshBookingAttendance(booking);
+    if (result.ready) return { status: 'completed', completedAt: new Date() };
+    return {
+      status: 'scheduled',
+      sendAt: new Date(now.getTime() + ATTENDANCE_RETRY_MINUTES * 60000),
+      lastError: result.error
+    };
+  } catch (error) {
+    console.error('Error fetching attendance report for booking:', booking.bookingId, error.response?.data || error.message);
+    return {
+      status: 'scheduled',
+      sendAt: new Date(now.getTime() + ATTENDANCE_RETRY_MINUTES * 60000),
+      lastError: error.response?.data?.error?.message || error.message
+    };
+  }
+}
+
+// Validate a manual attendance override: { status: 'attended' | 'no-show', note }
+function parseAttendanceOverride({ status, note } = {}) {
+  if (!ATTENDANCE_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${ATTENDANCE_STATUSES.join(', ')}` };
+  }
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    return { error: "note must be a string" };
+  }
+  return { status: status, note: (note || '').trim() || null };
+}
+
+// Set the attendance status by hand; `overriddenBy` is 'organizer' or 'admin'
+async function overrideBookingAttendance(booking, { status, note }, overriddenBy) {
+  const override = { status: status, note: note, overriddenBy: overriddenBy, overriddenAt: new Date() };
+  const updatedBooking = await updateBooking(booking.bookingId, {
+    attendance: {
+      ...(booking.attendance || { teamsStatus: null, attendees: [], checkedAt: null }),
+      status: status,
+      source: 'manual',
+      override: override
+    }
+  });
+  console.log(`👥 Attendance for booking ${booking.bookingId} set to ${status} by ${overriddenBy}`);
+  return updatedBooking.attendance;
+}
+
+// -------------------
+// 5. API Routes
+// -------------------
+
+// Health check endpoint
+app.get("/", async (req, res) => {
+  const weeklyAvailability = await getWeeklyAvailability().catch(() => DEFAULT_WEEKLY_AVAILABILITY);
+  res.json({
+    message: "Thrive Teams Meeting API is running!",
+    endpoints: {
+      health: "GET /",
+      createMeeting: "POST /api/create-meeting",
+      scheduleDiscoveryCall: "POST /api/schedule-discovery-call",
+      testPermissions: "GET /api/test-permissions",
+      meetingTypes: "GET /api/meeting-types",
+      availableSlots: "GET /api/available-slots?date=YYYY-MM-DD&meetingType=discovery",
+      availableSlotsRange: "GET /api/available-slots/range?from=YYYY-MM-DD&to=YYYY-MM-DD&includeSlots=true",
+      nextAvailable: "GET /api/next-available?count=3&period=morning&meetingType=discovery",
+      checkAvailability: "GET /api/check-availability?date=YYYY-MM-DD&time=HH:MM&meetingType=discovery",
+      bookedSlots: "GET /api/booked-slots?date=YYYY-MM-DD",
+      getBooking: "GET /api/bookings/:id",
+      bookingCalendar: "GET /api/bookings/:id/calendar?token=...",
+      cancelBooking: "POST /api/bookings/:id/cancel?token=...",
+      rescheduleBooking: "POST /api/bookings/:id/reschedule?token=...",
+      holdSlot: "POST /api/slot-holds",
+      releaseHold: "DELETE /api/slot-holds/:token",
+      adminAvailability: "GET /api/admin/availability",
+      adminWeeklyAvailability: "PUT /api/admin/availability/weekly",
+      adminAvailabilityOverride: "PUT|DELETE /api/admin/availability/overrides/:date",
+      adminBlackouts: "GET|POST /api/admin/blackouts",
+      adminBlackout: "PUT|DELETE /api/admin/blackouts/:id",
+      adminImportBlackouts: "POST /api/admin/blackouts/import",
+      adminBookingReminders: "GET /api/admin/bookings/:id/reminders",
+      adminFeedback: "GET /api/admin/feedback?organizer=email&from=YYYY-MM-DD&to=YYYY-MM-DD",
+      bookingFeedback: "POST /api/bookings/:id/feedback?token=...",
+      bookingOutcome: "POST /api/bookings/:id/outcome?token=...",
+      bookingAttendance: "POST /api/bookings/:id/attendance?token=...",
+      adminAttendance: "PUT /api/admin/bookings/:id/attendance",
+      adminRefreshAttendance: "POST /api/admin/bookings/:id/attendance/refresh",
+      adminEmails: "GET /api/admin/emails?status=dead&bookingId=...",
+      adminBookingEmails: "GET /api/admin/bookings/:id/emails",
+      adminResendEmail: "POST /api/admin/emails/:emailId/resend",
+      adminEmailTemplates: "GET /api/admin/email-templates",
+      adminEmailTemplate: "GET|PUT /api/admin/email-templates/:name",
+      adminActivateEmailTemplate: "POST /api/admin/email-templates/:name/activate",
+      adminPreviewEmailTemplate: "GET|POST /api/admin/email-templates/:name/preview?format=html",
+      reminderCron: "GET /api/cron/reminders",
+      emailCron: "GET /api/cron/emails"
+    },
+    businessHours: `${describeWeeklyAvailability(weeklyAvailability)} (Asia/Kolkata timezone)`,
+    organizers: ORGANIZERS.length,
+    organizerAssignment: ORGANIZER_ASSIGNMENT,
+    timezone: "Asia/Kolkata (Noida, India)"
+  });
+});
+
+// List the bookable meeting types
+app.get("/api/meeting-types", (req, res) => {
+  const meetingTypes = Object.keys(MEETING_TYPES).map(key => {
+    const meetingType = getMeetingType(key);
+    return {
+      key: meetingType.key,
+      name: meetingType.name,
+      description: meetingType.description,
+      durationMinutes: meetingType.durationMinutes,
+      duration: formatDuration(meetingType.durationMinutes),
+      slotIntervalMinutes: meetingType.slotIntervalMinutes,
+      bufferBeforeMinutes: meetingType.bufferBeforeMinutes,
+      bufferAfterMinutes: meetingType.bufferAfterMinutes,
+      minimumNoticeHours: meetingType.minimumNoticeHours,
+      maxAdvanceDays: meetingType.maxAdvanceDays,
+      organizers: getOrganizerPool(meetingType).map(organizer => organizer.name)
+    };
+  });
+  
+  res.json({
+    defaultMeetingType: DEFAULT_MEETING_TYPE,
+    meetingTypes: meetingTypes
+  });
+});
+
+// Get booked slots for a specific date
+app.get("/api/booked-slots", async (req, res) => {
+  try {
+    const { date } = req.query;
+    
+    if (!date) {
+      return res.status(400).json({
+        error: "Date parameter is required",
+        example: "/api/booked-slots?date=2025-09-30"
+      });
+    }
+    
+    // Validate date format (YYYY-MM-DD)
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateRegex.test(date)) {
+      return res.status(400).json({
+        error: "Invalid date format. Use YYYY-MM-DD format",
+        provided: date,
+        example: "2025-09-30"
+      });
+    }
+    
+    // Get booked slots for the date
+    const bookedSlotsForDate = await getBookedSlots(date);
+    
+    // Convert to 12-hour format for display
+    const bookedSlotsWithDisplay = bookedSlotsForDate.map(time24h => {
+      const [hours, minutes] = time24h.split(':');
+      const hour12 = parseInt(hours) % 12 || 12;
+      const ampm = parseInt(hours) >= 12 ? 'PM' : 'AM';
+      const displayTime = `${hour12}:${minutes} ${ampm}`;
+      
+      return {
+        time: time24h,
+        displayTime: displayTime,
+        booked: true
+      };
+    });
+    
+    res.json({
+      date: date,
+      timezone: "Asia/Kolkata",
+      bookedSlots: bookedSlotsWithDisplay,
+      totalBookedSlots: bookedSlotsForDate.length,
+      message: bookedSlotsForDate.length > 0 
+        ? `${bookedSlotsForDate.length} slot(s) are already booked for this date`
+        : "No slots are booked for this date"
+    });
+    
+  } catch (error) {
+    console.error('Error getting booked slots:', error);
+    res.status(500).json({
+      error: "Internal server error",
+      details: error.message
+    });
+  }
+});
+
+// Get a single booking by its id. Admins get the stored record; the signed link returned as
+// bookingUrl by /api/schedule-discovery-call gets the public view without client details.
+app.get("/api/bookings/:id", async (req, res) => {
+  try {
+    const isAdmin = hasAdminKey(req);
+    if (!isAdmin && !verifyBookingToken(req.params.id, 'view', req.query.token)) {
+      return res.status(403).json({ success: false, error: "Invalid or missing booking token" });
+    }
+    
+    const booking = await getBooking(req.params.id);
+    
+    if (!booking) {
+      return res.status(404).json({
+        error: "Booking not found",
+        bookingId: req.params.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      booking: isAdmin ? booking : toPublicBooking(booking)
+    });
+  } catch (error) {
+    console.error('Error getting booking:', error);
+    res.status(500).json({
+      error: "Internal server error",
+      details: error.message
+    });
+  }
+});
+
+// Download the booking's calendar invite for "Add to calendar" buttons, using the signed link from the confirmation email
+app.get("/api/bookings/:id/calendar", async (req, res) => {
+  try {
+    const booking = await getBooking(req.params.id);
+    
+    if (!booking || !verifyBookingToken(req.params.id, 'calendar', req.query.token)) {
+      return res.status(403).json({ success: false, error: "Invalid or missing calendar token" });
+    }
+    if (booking.status === 'failed') {
+      return res.status(404).json({ success: false, error: "This booking has no meeting to add to a calendar", status: booking.status });
+    }
+    
+    // A cancelled booking's file removes the event from calendars that already have it
+    const method = booking.status === 'cancelled' ? 'CANCEL' : 'PUBLISH';
+    res.set({
+      'Content-Type': `text/calendar; charset=utf-8; method=${method}`,
+      'Content-Disposition': `attachment; filename="${method === 'CANCEL' ? 'cancellation' : 'meeting'}-${booking.date}.ics"`
+    });
+    res.send(buildBookingCalendar(booking, method));
+  } catch (error) {
+    console.error('Error building calendar invite:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cancellation link target from the confirmation email. Only shows a confirmation page,
+// so that link scanners prefetching the URL cannot cancel the booking.
+app.get("/api/bookings/:id/cancel", async (req, res) => {
+  try {
+    const { token } = req.query;
+    const booking = await getBooking(req.params.id);
+    
+    if (!booking || !verifyBookingToken(req.params.id, 'cancel', token)) {
+      return res.status(403).send(renderBookingActionPage(
+        'Invalid Link',
+        'This cancellation link is invalid. Please contact us if you need help with your booking.'
+      ));
+    }
+    
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      return res.send(renderBookingActionPage(
+        'Already Cancelled',
+        `Your meeting on ${booking.date} at ${formatTimeForEmail(booking.time)} has already been cancelled.`
+      ));
+    }
+    
+    res.send(renderBookingActionPage(
+      'Cancel Your Meeting',
+      `Do you want to cancel your ${booking.meeting?.subject || 'meeting'} on ${booking.date} at ${formatTimeForEmail(booking.time)} (Asia/Kolkata)?`,
+      `<form method="POST" action="/api/bookings/${encodeURIComponent(booking.bookingId)}/cancel?token=${encodeURIComponent(token)}">
+      <p><label>Reason (optional):<br><textarea name="reason" rows="3" style="width: 100%;"></textarea></label></p>
+      <button type="submit" style="background-color: #dc3545; color: white; padding: 12px 24px; border: none; border-radius: 6px; font-weight: bold;">Cancel meeting</button>
+    </form>`
+    ));
+  } catch (error) {
+    console.error('Error loading cancellation page:', error);
+    res.status(500).send(renderBookingActionPage('Something went wrong', 'Please try again later.'));
+  }
+});
+
+// Cancel a booking using the signed token from its cancellation link
+app.post("/api/bookings/:id/cancel", async (req, res) => {
+  const wantsHtml = req.accepts(['json', 'html']) === 'html';
+  
+  try {
+    const token = req.query.token || req.body.token;
+    const { reason } = req.body;
+    const booking = await getBooking(req.params.id);
+    
+    if (!booking || !verifyBookingToken(req.params.id, 'cancel', token)) {
+      return wantsHtml
+        ? res.status(403).send(renderBookingActionPage('Invalid Link', 'This cancellation link is invalid.'))
+        : res.status(403).json({ success: false, error: "Invalid or missing cancellation token" });
+    }
+    
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      return wantsHtml
+        ? res.status(409).send(renderBookingActionPage('Already Cancelled', 'This meeting has already been cancelled.'))
+        : res.status(409).json({ success: false, error: "Booking is already cancelled", status: booking.status });
+    }
+    
+    if (new Date(booking.startDateTime) <= new Date()) {
+      return wantsHtml
+        ? res.status(400).send(renderBookingActionPage('Too Late to Cancel', 'This meeting has already started or taken place.'))
+        : res.status(400).json({ success: false, error: "Meetings that have already started cannot be cancelled" });
+    }
+    
+    const result = await cancelBooking(booking, reason);
+    
+    if (!result.success) {
+      return wantsHtml
+        ? res.status(409).send(renderBookingActionPage('Already Cancelled', 'This meeting has already been cancelled.'))
+        : res.status(409).json({ success: false, error: "Booking is already cancelled" });
+    }
+    
+    if (wantsHtml) {
+      return res.send(renderBookingActionPage(
+        'Meeting Cancelled',
+        `Your meeting on ${booking.date} at ${formatTimeForEmail(booking.time)} has been cancelled. We hope to speak with you another time!`
+      ));
+    }
+    
+    res.json({
+      success: true,
+      message: "Booking cancelled successfully",
+      booking: result.booking,
+      meetingCancelled: result.meetingCancellation.success,
+      emailResults: result.emailResults
+    });
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+    return wantsHtml
+      ? res.status(500).send(renderBookingActionPage('Something went wrong', 'Please try again later.'))
+      : res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reschedule link target from the confirmation email. Shows a form to pick the new slot.
+app.get("/api/bookings/:id/reschedule", async (req, res) => {
+  try {
+    const { token } = req.query;
+    const booking = await getBooking(req.params.id);
+    
+    if (!booking || !verifyBookingToken(req.params.id, 'reschedule', token)) {
+      return res.status(403).send(renderBookingActionPage(
+        'Invalid Link',
+        'This reschedule link is invalid. Please contact us if you need help with your booking.'
+      ));
+    }
+    
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      return res.send(renderBookingActionPage(
+        'Meeting Cancelled',
+        'This meeting has been cancelled and can no longer be rescheduled.'
+      ));
+    }
+    
+    const meetingType = getMeetingType(booking.meetingType) || getMeetingType();
+    const businessHours = describeWeeklyAvailability(await getWeeklyAvailability());
+    
+    res.send(renderBookingActionPage(
+      'Reschedule Your Meeting',
+      `Your ${booking.meeting?.subject || 'meeting'} is currently booked for ${booking.date} at ${formatTimeForEmail(booking.time)} (Asia/Kolkata). Choose a new slot during our business hours, ${businessHours}:`,
+      `<form method="POST" action="/api/bookings/${encodeURIComponent(booking.bookingId)}/reschedule?token=${encodeURIComponent(token)}">
+      <p><label>New date:<br><input type="date" name="selectedDate" required></label></p>
+      <p><label>New time (Asia/Kolkata):<br><input type="time" name="selectedTime" step="${meetingType.slotIntervalMinutes * 60}" required></label></p>
+      <button type="submit" style="background-color: #1A5069; color: white; padding: 12px 24px; border: none; border-radius: 6px; font-weight: bold;">Reschedule meeting</button>
+    </form>`
+    ));
+  } catch (error) {
+    console.error('Error loading reschedule page:', error);
+    res.status(500).send(renderBookingActionPage('Something went wrong', 'Please try again later.'));
+  }
+});
+
+// Move a booking to a new slot using the signed token from its reschedule link
+app.post("/api/bookings/:id/reschedule", async (req, res) => {
+  const wantsHtml = req.accepts(['json', 'html']) === 'html';
+  const sendError = (status, title, body) => wantsHtml
+    ? res.status(status).send(renderBookingActionPage(title, body.error))
+    : res.status(status).json({ success: false, ...body });
+  
+  try {
+    const token = req.query.token || req.body.token;
+    const { selectedDate, selectedTime, timezone } = req.body;
+    const booking = await getBooking(req.params.id);
+    
+    if (!booking || !verifyBookingToken(req.params.id, 'reschedule', token)) {
+      return sendError(403, 'Invalid Link', { error: "Invalid or missing reschedule token" });
+    }
+    
+    if (!selectedDate || !selectedTime) {
+      return sendError(400, 'Missing Details', {
+        error: "Missing required fields",
+        required: ["selectedDate", "selectedTime"]
+      });
+    }
+    
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      return sendError(409, 'Meeting Cancelled', { error: "Cancelled bookings cannot be rescheduled", status: booking.status });
+    }
+    
+    if (new Date(booking.startDateTime) <= new Date()) {
+      return sendError(400, 'Too Late to Reschedule', { error: "Meetings that have already started cannot be rescheduled" });
+    }
+    
+    const meetingType = getMeetingType(booking.meetingType) || getMeetingType();
+    
+    // With a visitor timezone, selectedDate/selectedTime are the visitor's local time
+    const requestedSlot = resolveRequestedSlot(selectedDate, selectedTime, timezone, booking.durationMinutes || meetingType.durationMinutes);
+    if (requestedSlot.error) {
+      return sendError(400, 'Invalid Time', requestedSlot.error);
+    }
+    const newDate = requestedSlot.date;
+    const time24h = requestedSlot.time;
+    
+    if (newDate === booking.date && time24h === booking.time) {
+      return sendError(400, 'Same Time Selected', { error: "The booking is already scheduled for this slot" });
+    }
+    
+    // The Teams meeting lives in the organizer's calendar, so a booking keeps its organizer when moved
+    const bookingMeetingType = { ...meetingType, durationMinutes: booking.durationMinutes || meetingType.durationMinutes };
+    const bookingOrganizers = [{ email: booking.organizerEmail, name: booking.organizerName, priority: 1 }];
+    const suggestAlternatives = async () => (await suggestAlternativeSlots(newDate, time24h, bookingMeetingType, {
+      visitorTimezone: timezone,
+      organizers: bookingOrganizers,
+      excludeBooking: booking
+    })).filter(slot => slot.date !== booking.date || slot.time !== booking.time);
+    
+    const slotCheck = await checkSlotAvailability(newDate, time24h, {
+      meetingType: bookingMeetingType,
+      excludeBooking: booking,
+      organizers: bookingOrganizers
+    });
+    if (!slotCheck.available) {
+      return sendError(slotCheck.isBooked || slotCheck.isLimitReached || slotCheck.isOrganizerBusy || slotCheck.isHeld ? 409 : 400, 'Slot Not Available', {
+        error: slotCheck.message,
+        reason: slotCheck.reason,
+        selectedDate,
+        selectedTime,
+        suggestions: wantsHtml ? undefined : await suggestAlternatives()
+      });
+    }
+    
+    const result = await rescheduleBooking(booking, newDate, time24h, timezone || booking.visitorTimezone);
+    
+    if (!result.success) {
+      return sendError(result.status, 'Could Not Reschedule', {
+        error: result.error,
+        details: result.details,
+        repairNeeded: result.repairNeeded,
+        conflictingSlot: result.conflictingSlot,
+        suggestions: result.conflictingSlot && !wantsHtml ? await suggestAlternatives() : undefined
+      });
+    }
+    
+    if (wantsHtml) {
+      return res.send(renderBookingActionPage(
+        'Meeting Rescheduled',
+        `Your meeting has been moved to ${newDate} at ${formatTimeForEmail(time24h)} (Asia/Kolkata). A confirmation email is on its way.`
+      ));
+    }
+    
+    res.json({
+      success: true,
+      message: "Booking rescheduled successfully",
+      booking: result.booking,
+      slot: requestedSlot.times,
+      meetingUpdated: result.meetingUpdate.success,
+      emailSent: result.emailResults.some(r => r.success), // Kept for existing clients
+      emailsQueued: result.emailResults.every(r => r.success),
+      emailResults: result.emailResults
+    });
+  } catch (error) {
+    console.error('Error rescheduling booking:', error);
+    return sendError(500, 'Something went wrong', { error: error.message });
+  }
+});
+
+// Feedback link target from the follow-up email. Shows the rating form.
+app.get("/api/bookings/:id/feedback", async (req, res) => {
+  try {
+    const { token } = req.query;
+    const booking = await getBooking(req.params.id);
+
+    if (!booking || !verifyBookingToken(req.params.id, 'feedback', token)) {
+      return res.status(403).send(renderBookingActionPage('Invalid Link', 'This feedback link is invalid.'));
+    }
+
+    const notReady = checkMeetingEnded(booking);
+    if (notReady) {
+      return res.status(409).send(renderBookingActionPage('Feedback Not Open', notReady.error));
+    }
+
+    const ratingOptions = [1, 2, 3, 4, 5].map(rating =>
+      `<label style="margin-right: 12px;"><input type="radio" name="rating" value="${rating}" required${booking.feedback?.rating === rating ? ' checked' : ''}> ${rating}</label>`
+    ).join('');
+
+    res.send(renderBookingActionPage(
+      'How Did We Do?',
+      `${booking.feedback ? 'Thanks, we already have your feedback - you can update it below. ' : ''}How would you rate your ${booking.meeting?.subject || 'meeting'} on ${booking.date}? (1 = poor, 5 = excellent)`,
+      `<form method="POST" action="/api/bookings/${encodeURIComponent(booking.bookingId)}/feedback?token=${encodeURIComponent(token)}">
+      <p>${ratingOptions}</p>
+      <p><label>Anything you'd like to tell us? (optional)<br><textarea name="comment" rows="4" maxlength="${FEEDBACK_COMMENT_MAX_LENGTH}" style="width: 100%;"></textarea></label></p>
+      <button type="submit" style="background-color: #1A5069; color: white; padding: 12px 24px; border: none; border-radius: 6px; font-weight: bold;">Send feedback</button>
+    </form>`
+    ));
+  } catch (error) {
+    console.error('Error loading feedback page:', error);
+    res.status(500).send(renderBookingActionPage('Something went wrong', 'Please try again later.'));
+  }
+});
+
+// Store the client's feedback: { "rating": 1-5, "comment": "..." }. Sending it again replaces it.
+app.post("/api/bookings/:id/feedback", async (req, res) => {
+  const wantsHtml = req.accepts(['json', 'html']) === 'html';
+  const sendError = (status, title, body) => wantsHtml
+    ? res.status(status).send(renderBookingActionPage(title, body.error))
+    : res.status(status).json({ success: false, ...body });
+
+  try {
+    const token = req.query.token || req.body.token;
+    const booking = await getBooking(req.params.id);
+
+    if (!booking || !verifyBookingToken(req.params.id, 'feedback', token)) {
+      return sendError(403, 'Invalid Link', { error: "Invalid or missing feedback token" });
+    }
+
+    const notReady = checkMeetingEnded(booking);
+    if (notReady) {
+      return sendError(409, 'Feedback Not Open', notReady);
+    }
+
+    const { feedback, error } = parseFeedback(req.body);
+    if (error) {
+      return sendError(400, 'Missing Details', { error: error });
+    }
+
+    const updatedBooking = await updateBooking(booking.bookingId, { feedback: feedback });
+    console.log(`⭐ Feedback for booking ${booking.bookingId}: ${feedback.rating}/5`);
+
+    if (wantsHtml) {
+      return res.send(renderBookingActionPage('Thank You!', 'Your feedback has been sent. We appreciate you taking the time.'));
+    }
+
+    res.json({ success: true, message: "Feedback saved", feedback: updatedBooking.feedback });
+  } catch (error) {
+    console.error('Error saving feedback:', error);
+    return sendError(500, 'Something went wrong', { error: error.message });
+  }
+});
+
+// Attendance link target from the organizer's follow-up email. Shows what Teams recorded and a form to correct it.
+app.get("/api/bookings/:id/attendance", async (req, res) => {
+  try {
+    const { token } = req.query;
+    const booking = await getBooking(req.params.id);
+
+    if (!booking || !verifyBookingToken(req.params.id, 'attendance', token)) {
+      return res.status(403).send(renderBookingActionPage('Invalid Link', 'This link is invalid.'));
+    }
+
+    const notReady = checkMeetingEnded(booking);
+    if (notReady) {
+      return res.status(409).send(renderBookingActionPage('Not Open Yet', notReady.error));
+    }
+
+    const attendance = booking.attendance;
+    const report = attendance?.attendees?.length
+      ? `<ul>${attendance.attendees.map(attendee =>
+          `<li>${escapeHtml(attendee.name || attendee.email || 'Unknown')} (${attendee.participant}): ${Math.round(attendee.totalAttendanceSeconds / 60)} min</li>`
+        ).join('')}</ul>`
+      : '<p>No Teams attendance report yet.</p>';
+    const statusOptions = ATTENDANCE_STATUSES.map(status =>
+      `<label style="margin-right: 12px;"><input type="radio" name="status" value="${status}" required${attendance?.status === status ? ' checked' : ''}> ${status === 'attended' ? 'Client attended' : 'No-show'}</label>`
+    ).join('');
+
+    res.send(renderBookingActionPage(
+      'Meeting Attendance',
+      `${booking.meeting?.subject || 'Meeting'} on ${booking.date}: ${attendance ? `marked <strong>${attendance.status}</strong> (${attendance.source === 'manual' ? 'set by hand' : 'from Teams'})` : 'not checked yet'}.`,
+      `${report}
+    <form method="POST" action="/api/bookings/${encodeURIComponent(booking.bookingId)}/attendance?token=${encodeURIComponent(token)}">
+      <p>${statusOptions}</p>
+      <p><label>Note (optional):<br><textarea name="note" rows="3" style="width: 100%;"></textarea></label></p>
+      <button type="submit" style="background-color: #1A5069; color: white; padding: 12px 24px; border: none; border-radius: 6px; font-weight: bold;">Save attendance</button>
+    </form>`
+    ));
+  } catch (error) {
+    console.error('Error loading attendance page:', error);
+    res.status(500).send(renderBookingActionPage('Something went wrong', 'Please try again later.'));
+  }
+});
+
+// Override the attendance status: { "status": "attended" | "no-show", "note": "..." }
+app.post("/api/bookings/:id/attendance", async (req, res) => {
+  const wantsHtml = req.accepts(['json', 'html']) === 'html';
+  const sendError = (status, title, body) => wantsHtml
+    ? res.status(status).send(renderBookingActionPage(title, body.error))
+    : res.status(status).json({ success: false, ...body });
+
+  try {
+    const token = req.query.token || req.body.token;
+    const booking = await getBooking(req.params.id);
+
+    if (!booking || !verifyBookingToken(req.params.id, 'attendance', token)) {
+      return sendError(403, 'Invalid Link', { error: "Invalid or missing attendance token" });
+    }
+
+    const notReady = checkMeetingEnded(booking);
+    if (notReady) {
+      return sendError(409, 'Not Open Yet', notReady);
+    }
+
+    const override = parseAttendanceOverride(req.body);
+    if (override.error) {
+      return sendError(400, 'Missing Details', { error: override.error });
+    }
+
+    const attendance = await overrideBookingAttendance(booking, override, 'organizer');
+
+    if (wantsHtml) {
+      return res.send(renderBookingActionPage('Attendance Saved', `The meeting is now marked as ${attendance.status}.`));
+    }
+
+    res.json({ success: true, attendance: attendance });
+  } catch (error) {
+    console.error('Error saving attendance:', error);
+    return sendError(500, 'Something went wrong', { error: error.message });
+  }
+});
+
+// Outcome link target from the organizer's follow-up email. Shows the outcome form.
+app.get("/api/bookings/:id/outcome", async (req, res) => {
+  try {
+    const { token } = req.query;
+    const booking = await getBooking(req.params.id);
+
+    if (!booking || !verifyBookingToken(req.params.id, 'outcome', token)) {
+      return res.status(403).send(renderBookingActionPage('Invalid Link', 'This link is invalid.'));
+    }
+
+    const notReady = checkMeetingEnded(booking);
+    if (notReady) {
+      return res.status(409).send(renderBookingActionPage('Not Open Yet', notReady.error));
+    }
+
+    const outcomeOptions = Object.entries(CALL_OUTCOMES).map(([outcome, label]) =>
+      `<p><label><input type="radio" name="outcome" value="${outcome}" required${booking.callOutcome?.outcome === outcome ? ' checked' : ''}> ${label}</label></p>`
+    ).join('');
+    const clientName = `${booking.userDetails.firstName || ''} ${booking.userDetails.lastName || ''}`.trim();
+
+    res.send(renderBookingActionPage(
+      'Log Call Outcome',
+      `How did your ${booking.meeting?.subject || 'meeting'} with ${escapeHtml(clientName || booking.userDetails.email)} on ${booking.date} go?`,
+      `<form method="POST" action="/api/bookings/${encodeURIComponent(booking.bookingId)}/outcome?token=${encodeURIComponent(token)}">
+      ${outcomeOptions}
+      <p><label>Notes (optional):<br><textarea name="notes" rows="4" maxlength="${FEEDBACK_COMMENT_MAX_LENGTH}" style="width: 100%;"></textarea></label></p>
+      <button type="submit" style="background-color: #28a745; color: white; padding: 12px 24px; border: none; border-radius: 6px; font-weight: bold;">Save outcome</button>
+    </form>`
+    ));
+  } catch (error) {
+    console.error('Error loading outcome page:', error);
+    res.status(500).send(renderBookingActionPage('Something went wrong', 'Please try again later.'));
+  }
+});
+
+// Store the organizer's outcome: { "outcome": "qualified", "notes": "..." }. Sending it again replaces it.
+app.post("/api/bookings/:id/outcome", async (req, res) => {
+  const wantsHtml = req.accepts(['json', 'html']) === 'html';
+  const sendError = (status, title, body) => wantsHtml
+    ? res.status(status).send(renderBookingActionPage(title, body.error))
+    : res.status(status).json({ success: false, ...body });
+
+  try {
+    const token = req.query.token || req.body.token;
+    const booking = await getBooking(req.params.id);
+
+    if (!booking || !verifyBookingToken(req.params.id, 'outcome', token)) {
+      return sendError(403, 'Invalid Link', { error: "Invalid or missing outcome token" });
+    }
+
+    const notReady = checkMeetingEnded(booking);
+    if (notReady) {
+      return sendError(409, 'Not Open Yet', notReady);
+    }
+
+    const { callOutcome, error } = parseCallOutcome(req.body);
+    if (error) {
+      return sendError(400, 'Missing Details', { error: error });
+    }
+
+    const updatedBooking = await updateBooking(booking.bookingId, { callOutcome: callOutcome });
+    console.log(`📝 Outcome for booking ${booking.bookingId}: ${callOutcome.outcome}`);
+
+    if (wantsHtml) {
+      return res.send(renderBookingActionPage('Outcome Saved', `Logged as "${CALL_OUTCOMES[callOutcome.outcome]}". Thank you!`));
+    }
+
+    res.json({ success: true, message: "Outcome saved", callOutcome: updatedBooking.callOutcome });
+  } catch (error) {
+    console.error('Error saving call outcome:', error);
+    return sendError(500, 'Something went wrong', { error: error.message });
+  }
+});
+
+// Place a temporary hold on a slot while the visitor fills in the booking form
+app.post("/api/slot-holds", async (req, res) => {
+  try {
+    const { date, time, timezone, meetingType: meetingTypeKey = DEFAULT_MEETING_TYPE } = req.body;
+    
+    if (!date || !time) {
+      return res.status(400).json({
+        error: "Missing required fields",
+        required: ["date", "time"]
+      });
+    }
+    
+    const meetingType = getMeetingType(meetingTypeKey);
+    if (!meetingType) {
+      return res.status(400).json(unknownMeetingTypeResponse(meetingTypeKey));
+    }
+    
+    // With a visitor timezone, date and time are the visitor's local time; holds are stored in business time
+    const slot = resolveRequestedSlot(date, time, timezone, meetingType.durationMinutes);
+    if (slot.error) {
+      return res.status(400).json(slot.error);
+    }
+    
+    const time24h = slot.time;
+    const slotCheck = await checkSlotAvailability(slot.date, time24h, { meetingType });
+    
+    if (!slotCheck.available) {
+      return res.status(slotCheck.isBooked || slotCheck.isLimitReached || slotCheck.isOrganizerBusy || slotCheck.isHeld ? 409 : 400).json({
+        success: false,
+        error: slotCheck.message,
+        reason: slotCheck.reason,
+        date,
+        time,
+        suggestions: await suggestAlternativeSlots(slot.date, time24h, meetingType, { visitorTimezone: timezone })
+      });
+    }
+    
+    // Hold the slot with one of the free organizers, so redeeming the hold books that organizer
+    let hold;
+    try {
+      ({ result: hold } = await assignOrganizer(slotCheck.freeOrganizers, slot.date, meetingType,
+        organizer => createSlotHold(slot.date, time24h, meetingType, organizer)));
+    } catch (error) {
+      if (isSlotConflictError(error)) {
+        return res.status(409).json({
+          success: false,
+          error: "This time slot is on hold while another visitor completes their booking",
+          reason: "On hold",
+          date,
+          time,
+          suggestions: await suggestAlternativeSlots(slot.date, time24h, meetingType, { visitorTimezone: timezone })
+        });
+      }
+      throw error;
+    }
+    
+    res.status(201).json({
+      success: true,
+      holdToken: hold.holdToken,
+      date: hold.date,
+      time: hold.time,
+      slot: slot.times,
+      meetingType: hold.meetingType,
+      expiresAt: hold.expiresAt,
+      expiresInSeconds: SLOT_HOLD_MINUTES * 60
+    });
+  } catch (error) {
+    console.error('Error creating slot hold:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Look up a hold, e.g. to show the visitor how long they have left
+app.get("/api/slot-holds/:token", async (req, res) => {
+  try {
+    const hold = await getSlotHold(req.params.token);
+    
+    if (!hold) {
+      return res.status(404).json({ error: "Hold not found or expired" });
+    }
+    
+    res.json({
+      success: true,
+      date: hold.date,
+      time: hold.time,
+      meetingType: hold.meetingType,
+      expiresAt: hold.expiresAt,
+      expiresInSeconds: Math.max(0, Math.round((new Date(hold.expiresAt) - new Date()) / 1000))
+    });
+  } catch (error) {
+    console.error('Error getting slot hold:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Release a hold early, e.g. when the visitor goes back and picks another time
+app.delete("/api/slot-holds/:token", async (req, res) => {
+  try {
+    const released = await releaseSlotHold(req.params.token);
+    
+    if (!released) {
+      return res.status(404).json({ error: "Hold not found or expired" });
+    }
+    
+    res.json({ success: true, message: "Hold released" });
+  } catch (error) {
+    console.error('Error releasing slot hold:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// -------------------
+// 5.1. Admin: Availability Rules
+// -------------------
+
+// Weekly availability and date overrides (optionally limited to ?from=YYYY-MM-DD&to=YYYY-MM-DD)
+app.get("/api/admin/availability", requireAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const weekly = await getWeeklyAvailability();
+    
+    res.json({
+      timezone: BUSINESS_TIMEZONE,
+      weekly: weekly,
+      summary: describeWeeklyAvailability(weekly),
+      overrides: await getAvailabilityOverrides(from, to)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace the weekly rules. Days left out of the body are closed.
+app.put("/api/admin/availability/weekly", requireAdmin, async (req, res) => {
+  try {
+    const { weekly } = req.body;
+    
+    if (!weekly || typeof weekly !== 'object' || Array.isArray(weekly)) {
+      return res.status(400).json({
+        error: "Missing or invalid weekly rules",
+        example: { weekly: { monday: [{ start: '09:00', end: '13:00' }, { start: '14:00', end: '18:00' }] } }
+      });
+    }
+    
+    const unknownDays = Object.keys(weekly).filter(day => !WEEKDAY_KEYS.includes(day));
+    if (unknownDays.length > 0) {
+      return res.status(400).json({ error: `Unknown day(s): ${unknownDays.join(', ')}`, validDays: WEEKDAY_KEYS });
+    }
+    
+    const normalized = {};
+    for (const day of WEEKDAY_KEYS) {
+      const windows = weekly[day] || [];
+      const validationError = validateWindows(windows);
+      if (validationError) {
+        return res.status(400).json({ error: `${day}: ${validationError}` });
       }
-      
-      throw new Error(`Failed to create meeting. ${userError.response?.data?.error?.message || userError.message}`);
+      normalized[day] = normalizeWindows(windows);
+    }
+    
+    await setWeeklyAvailability(normalized);
+    
+    res.json({ success: true, weekly: normalized, summary: describeWeeklyAvailability(normalized) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace one date's hours, or close the date with { "closed": true, "reason": "..." }
+app.put("/api/admin/availability/overrides/:date", requireAdmin, async (req, res) => {
+  try {
+    const { date } = req.params;
+    const { closed = false, windows = [], reason } = req.body;
+    
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ error: "Invalid date, expected YYYY-MM-DD" });
+    }
+    
+    const validationError = closed ? null : validateWindows(windows);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const override = await setAvailabilityOverride({
+      date: date,
+      closed: Boolean(closed),
+      windows: closed ? [] : normalizeWindows(windows),
+      reason: reason || null
+    });
+    
+    res.json({ success: true, override: override });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a date override so the weekly rules apply again
+app.delete("/api/admin/availability/overrides/:date", requireAdmin, async (req, res) => {
+  try {
+    const deleted = await deleteAvailabilityOverride(req.params.date);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: "No override found for this date" });
+    }
+    
+    res.json({ success: true, date: req.params.date });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// -------------------
+// 5.2. Admin: Blackout Dates
+// -------------------
+
+// Validate the fields of a blackout create/update body; returns an error message or null
+function validateBlackoutFields({ startDate, endDate, name, type }, partial = false) {
+  if (!partial && (!startDate || !name)) return 'startDate and name are required';
+  if (startDate !== undefined && !isValidDateString(startDate)) return 'Invalid startDate, expected YYYY-MM-DD';
+  if (endDate !== undefined && endDate !== null && !isValidDateString(endDate)) return 'Invalid endDate, expected YYYY-MM-DD';
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) return 'name must be a non-empty string';
+  if (type !== undefined && !BLACKOUT_TYPE_LABELS[type]) return `Unknown type "${type}". Valid types: ${Object.keys(BLACKOUT_TYPE_LABELS).join(', ')}`;
+  return null;
+}
+
+// List blackouts, optionally only those overlapping ?from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get("/api/admin/blackouts", requireAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const blackouts = await getBlackouts(from, to);
+    
+    res.json({
+      count: blackouts.length,
+      blackouts: blackouts.map(blackout => ({ ...blackout, reason: describeBlackout(blackout) }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a blackout: { "startDate": "2025-10-20", "endDate": "2025-10-21", "name": "Diwali", "type": "holiday" }
+app.post("/api/admin/blackouts", requireAdmin, async (req, res) => {
+  try {
+    const { startDate, endDate, name, type = 'holiday' } = req.body;
+    
+    const validationError = validateBlackoutFields({ startDate, endDate, name, type });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (endDate && endDate < startDate) {
+      return res.status(400).json({ error: "endDate must not be before startDate" });
+    }
+    
+    const blackout = await createBlackout({ startDate, endDate, name: name.trim(), type });
+    
+    res.status(201).json({ success: true, blackout: { ...blackout, reason: describeBlackout(blackout) } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put("/api/admin/blackouts/:id", requireAdmin, async (req, res) => {
+  try {
+    const existing = await getBlackout(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Blackout not found" });
+    }
+    
+    const { startDate, endDate, name, type } = req.body;
+    const validationError = validateBlackoutFields({ startDate, endDate, name, type }, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const updates = {};
+    if (startDate !== undefined) updates.startDate = startDate;
+    if (endDate !== undefined) updates.endDate = endDate || startDate || existing.startDate;
+    if (name !== undefined) updates.name = name.trim();
+    if (type !== undefined) updates.type = type;
+    
+    if ((updates.endDate || existing.endDate) < (updates.startDate || existing.startDate)) {
+      return res.status(400).json({ error: "endDate must not be before startDate" });
+    }
+    
+    const blackout = await updateBlackout(req.params.id, updates);
+    
+    res.json({ success: true, blackout: { ...blackout, reason: describeBlackout(blackout) } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/admin/blackouts/:id", requireAdmin, async (req, res) => {
+  try {
+    const deleted = await deleteBlackout(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: "Blackout not found" });
+    }
+    
+    res.json({ success: true, blackoutId: req.params.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import holidays from an .ics file. Send the file as the raw body (Content-Type: text/calendar),
+// or as JSON { "ics": "BEGIN:VCALENDAR...", "type": "holiday" }. ?type= sets the type for raw uploads.
+app.post("/api/admin/blackouts/import", requireAdmin, bodyParser.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  try {
+    const icsText = typeof req.body === 'string' ? req.body : req.body?.ics;
+    const type = (typeof req.body === 'object' && req.body?.type) || req.query.type || 'holiday';
+    
+    if (!icsText || !icsText.includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({
+        error: "Missing or invalid iCalendar data",
+        hint: "POST the .ics file with Content-Type: text/calendar, or send JSON { \"ics\": \"...\" }"
+      });
+    }
+    if (!BLACKOUT_TYPE_LABELS[type]) {
+      return res.status(400).json({ error: `Unknown type "${type}". Valid types: ${Object.keys(BLACKOUT_TYPE_LABELS).join(', ')}` });
     }
-
-  } catch (error) {
-    console.error("❌ Error creating meeting:", error.message);
-    console.log('⚠️ Using mock mode due to API error');
     
-    // Return mock data as fallback
-    const meetingId = Math.random().toString(36).substring(2, 15);
-    return {
-      id: meetingId,
-      joinUrl: `https://teams.microsoft.com/l/meetup-join/19:meeting_${meetingId}@thread.v2/0?context={"Tid":"mock-tenant","Oid":"${organizerEmail}"}`,
-      startDateTime: startTime,
-      endDateTime: endTime,
-      subject: subject
-    };
+    const { events, errors } = parseIcsEvents(icsText);
+    let created = 0;
+    let updated = 0;
+    
+    for (const event of events) {
+      const result = await importBlackout(event, type);
+      if (result.created) created++;
+      else updated++;
+    }
+    
+    console.log(`📥 Imported ${events.length} blackout(s) from ICS: ${created} created, ${updated} updated`);
+    
+    res.json({
+      success: true,
+      imported: events.length,
+      created: created,
+      updated: updated,
+      skipped: errors
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
 // -------------------
-// 3. Send Email Notification
+// 5.3. Reminders and Follow-ups
 // -------------------
-async function sendEmailNotification(meetingData, userDetails) {
+// Sends due reminders and follow-ups. Vercel Cron calls this on the schedule in vercel.json; any
+// other scheduler can call it with CRON_SECRET or the ADMIN_API_KEY.
+app.get("/api/cron/reminders", requireCron, async (req, res) => {
   try {
-    // Use Microsoft Graph API to send email through the organizer's account
-    const token = await getAccessToken();
+    const summary = await processDueReminders();
+    // Send the emails this run queued before the serverless function is frozen
+    const emails = await processEmailOutbox();
+    res.json({ success: true, ranAt: new Date().toISOString(), ...summary, emails: emails });
+  } catch (error) {
+    console.error('Error running reminder cron:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/admin/bookings/:id/reminders", requireAdmin, async (req, res) => {
+  try {
+    const booking = await getBooking(req.params.id);
     
-    if (token === 'mock-token') {
-      console.log('📧 Mock mode - logging email data instead of sending');
-      const emailData = {
-        to: userDetails.email,
-        subject: `Meeting Confirmation - ${meetingData.date}`,
-        html: generateEmailTemplate(meetingData, userDetails)
-      };
-      console.log('📧 Email data:', emailData);
-      return {
-        success: true,
-        message: 'Email logged (mock mode)',
-        previewUrl: null
-      };
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
     }
-
-    // Send email using Microsoft Graph API
-    const emailResponse = await axios.post(
-      `https://graph.microsoft.com/v1.0/users/admin@thrivebrands.ai/sendMail`,
-      {
-        message: {
-          subject: `Meeting Confirmation - ${meetingData.date}`,
-          body: {
-            contentType: "HTML",
-            content: generateEmailTemplate(meetingData, userDetails)
-          },
-          toRecipients: [
-            {
-              emailAddress: {
-                address: userDetails.email
-              }
-            }
-          ]
-        }
-      },
-      {
-        headers: { 
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    console.log('✅ Email sent successfully via Microsoft Graph');
     
-    return {
-      success: true,
-      message: 'Meeting invitation sent successfully via Microsoft Graph',
-      previewUrl: null
-    };
+    res.json({ bookingId: booking.bookingId, reminders: await getBookingReminders(booking.bookingId) });
   } catch (error) {
-    console.error('❌ Error sending meeting invitation:', error.response?.data || error.message);
-    return {
-      success: false,
-      error: error.message
-    };
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
 // -------------------
-// 4.1. Send Organizer Notification
+// 5.4. Email Outbox
 // -------------------
-async function sendOrganizerNotification(meetingData, organizerEmail) {
+// Sends queued emails that are due, including retries. Called by Vercel Cron like the reminder cron.
+app.get("/api/cron/emails", requireCron, async (req, res) => {
   try {
-    // Use Microsoft Graph API to send email through the admin account
-    const token = await getAccessToken();
+    const summary = await processEmailOutbox();
+    res.json({ success: true, ranAt: new Date().toISOString(), ...summary });
+  } catch (error) {
+    console.error('Error running email cron:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Outbox emails, newest first: ?status=queued|sending|sent|dead&bookingId=...&limit=100
+app.get("/api/admin/emails", requireAdmin, async (req, res) => {
+  try {
+    const { status, bookingId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
     
-    if (token === 'mock-token') {
-      console.log('📧 Mock mode - logging organizer notification instead of sending');
-      const emailData = {
-        to: organizerEmail,
-        subject: "🎯 New Discovery Call Booked - Action Required",
-        html: generateOrganizerNotificationTemplate(meetingData)
-      };
-      console.log('📧 Organizer notification data:', emailData);
-      return {
-        success: true,
-        message: 'Organizer notification logged (mock mode)',
-        previewUrl: null
-      };
+    if (status && !EMAIL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${EMAIL_STATUSES.join(', ')}` });
     }
+    
+    const emails = await listEmails({ status, bookingId, limit });
+    res.json({ count: emails.length, emails: emails.map(summarizeOutboxEmail) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Send email using Microsoft Graph API
-    const emailResponse = await axios.post(
-      `https://graph.microsoft.com/v1.0/users/admin@thrivebrands.ai/sendMail`,
-      {
-        message: {
-          subject: "🎯 New Discovery Call Booked - Action Required",
-          body: {
-            contentType: "HTML",
-            content: generateOrganizerNotificationTemplate(meetingData)
-          },
-          toRecipients: [
-            {
-              emailAddress: {
-                address: organizerEmail
-              }
-            }
-          ]
-        }
-      },
-      {
-        headers: { 
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+app.get("/api/admin/bookings/:id/emails", requireAdmin, async (req, res) => {
+  try {
+    const booking = await getBooking(req.params.id);
+    
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    
+    const emails = await listEmails({ bookingId: booking.bookingId, limit: 500 });
+    res.json({ bookingId: booking.bookingId, emails: emails.map(summarizeOutboxEmail) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log('✅ Organizer notification sent successfully via Microsoft Graph');
+// Queue an email again with a fresh set of attempts, e.g. a dead one after fixing the mail settings
+app.post("/api/admin/emails/:emailId/resend", requireAdmin, async (req, res) => {
+  try {
+    const email = await resendEmail(req.params.emailId);
     
-    return {
-      success: true,
-      message: 'Organizer notification sent successfully',
-      previewUrl: null
-    };
+    if (!email) {
+      return res.status(404).json({ error: "Email not found" });
+    }
+    if (email.error) {
+      return res.status(409).json({ error: email.error });
+    }
+    
+    res.json({ success: true, email: summarizeOutboxEmail(email) });
   } catch (error) {
-    console.error('❌ Error sending organizer notification:', error.response?.data || error.message);
-    return {
-      success: false,
-      error: error.message
-    };
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
 // -------------------
-// 4.2. Send Admin Notification
+// 5.5. Admin: Attendance
 // -------------------
-async function sendAdminNotification(meetingData, adminEmail) {
+// Fetch the Teams attendance report now instead of waiting for the scheduled check
+app.post("/api/admin/bookings/:id/attendance/refresh", requireAdmin, async (req, res) => {
   try {
-    // Use Microsoft Graph API to send email through the admin account
-    const token = await getAccessToken();
+    const booking = await getBooking(req.params.id);
     
-    if (token === 'mock-token') {
-      console.log('📧 Mock mode - logging admin notification instead of sending');
-      const emailData = {
-        to: adminEmail,
-        subject: "📊 New Discovery Call Booked - Admin Notification",
-        html: generateAdminNotificationTemplate(meetingData)
-      };
-      console.log('📧 Admin notification data:', emailData);
-      return {
-        success: true,
-        message: 'Admin notification logged (mock mode)',
-        previewUrl: null
-      };
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
     }
+    
+    const notReady = checkMeetingEnded(booking);
+    if (notReady) {
+      return res.status(409).json(notReady);
+    }
+    
+    const result = await refreshBookingAttendance(booking);
+    if (!result.ready) {
+      return res.status(404).json({ error: result.error, bookingId: booking.bookingId });
+    }
+    
+    res.json({ success: true, bookingId: booking.bookingId, attendance: result.attendance });
+  } catch (error) {
+    res.status(502).json({ error: "Could not fetch the Teams attendance report", details: error.response?.data?.error?.message || error.message });
+  }
+});
 
-    // Send email using Microsoft Graph API
-    const emailResponse = await axios.post(
-      `https://graph.microsoft.com/v1.0/users/admin@thrivebrands.ai/sendMail`,
-      {
-        message: {
-          subject: "📊 New Discovery Call Booked - Admin Notification",
-          body: {
-            contentType: "HTML",
-            content: generateAdminNotificationTemplate(meetingData)
-          },
-          toRecipients: [
-            {
-              emailAddress: {
-                address: adminEmail
-              }
-            }
-          ]
-        }
-      },
-      {
-        headers: { 
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    console.log('✅ Admin notification sent successfully via Microsoft Graph');
+// Override the attendance status: { "status": "attended" | "no-show", "note": "..." }
+app.put("/api/admin/bookings/:id/attendance", requireAdmin, async (req, res) => {
+  try {
+    const booking = await getBooking(req.params.id);
     
-    return {
-      success: true,
-      message: 'Admin notification sent successfully',
-      previewUrl: null
-    };
+    if (!booking) {
+      return res.status(404).json({ error: "Booking not found" });
+    }
+    
+    const notReady = checkMeetingEnded(booking);
+    if (notReady) {
+      return res.status(409).json(notReady);
+    }
+    
+    const override = parseAttendanceOverride(req.body);
+    if (override.error) {
+      return res.status(400).json({ error: override.error });
+    }
+    
+    const attendance = await overrideBookingAttendance(booking, override, 'admin');
+    res.json({ success: true, bookingId: booking.bookingId, attendance: attendance });
   } catch (error) {
-    console.error('❌ Error sending admin notification:', error.response?.data || error.message);
-    return {
-      success: false,
-      error: error.message
-    };
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
 // -------------------
-// 4. Generate Email Template
+// 5.6. Admin: Feedback
 // -------------------
-function generateEmailTemplate(meetingData, userDetails) {
-  // Ensure meeting link is properly set
-  const meetingLink = meetingData.meetingLink || '#';
-  const meetingTitle = meetingData.subject || 'Meeting';
-  
-  return `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #1A5069;">${meetingTitle} Confirmation</h2>
-      
-      <p>Dear ${userDetails.firstName} ${userDetails.lastName},</p>
-      
-      <p>Your meeting has been successfully scheduled. Here are the details:</p>
-      
-      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
-        <h3 style="color: #0F7BAE; margin-top: 0;">Meeting Details</h3>
-        <p><strong>Date:</strong> ${meetingData.date}</p>
-        <p><strong>Time:</strong> ${meetingData.time} (${meetingData.timezone})</p>
-        <p><strong>Duration:</strong> ${meetingData.duration || '30 minutes'}</p>
-        <p><strong>Platform:</strong> Microsoft Teams</p>
-        <p><strong>Organizer:</strong> Admin (Thrive Team)</p>
-      </div>
-      
-      <div style="background-color: #e8f4fd; padding: 20px; border-radius: 8px; margin: 20px 0;">
-        <h3 style="color: #0F7BAE; margin-top: 0;">Join Meeting</h3>
-        <p>Click the button below to join the meeting:</p>
-        <a href="${meetingLink}" style="background-color: #1A5069; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
-          Join Microsoft Teams Meeting
-        </a>
-        <p style="margin-top: 10px; font-size: 12px; color: #666;">
-          If the button doesn't work, copy and paste this link: <br>
-          <a href="${meetingLink}" style="color: #0F7BAE;">${meetingLink}</a>
-        </p>
-      </div>
-      
-      <div style="background-color: #fff3cd; padding: 20px; border-radius: 8px; margin: 20px 0;">
-        <h3 style="color: #856404; margin-top: 0;">Important Notes</h3>
-        <ul>
-          <li>Please join the meeting 5 minutes before the scheduled time</li>
-          <li>Make sure you have a stable internet connection</li>
-          <li>Test your microphone and camera before joining</li>
-          <li>If you need to reschedule, please contact us at least 24 hours in advance</li>
-        </ul>
-      </div>
-      
-      <p>We're excited to discuss how we can help you thrive!</p>
-      
-      <p>Best regards,<br>
-      The Thrive Team</p>
-      
-      <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
-      <p style="font-size: 12px; color: #666;">
-        This is an automated message. Please do not reply to this email.
-      </p>
-    </div>
-  `;
-}
+// Client ratings and logged call outcomes per organizer: ?organizer=email&from=YYYY-MM-DD&to=YYYY-MM-DD (all optional)
+app.get("/api/admin/feedback", requireAdmin, async (req, res) => {
+  try {
+    const { organizer, from, to } = req.query;
+    
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && !isValidDateString(value)) {
+        return res.status(400).json({ error: `Invalid ${name} date, expected YYYY-MM-DD` });
+      }
+    }
+    
+    const organizers = await getFeedbackByOrganizer({ organizerEmail: organizer, fromDate: from, toDate: to });
+    
+    res.json({
+      from: from || null,
+      to: to || null,
+      outcomes: CALL_OUTCOMES,
+      organizers: organizers
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
 // -------------------
-// 4.1. Generate Organizer Notification Template
+// 5.7. Admin: Email Templates
 // -------------------
-function generateOrganizerNotificationTemplate(meetingData) {
-  const meetingLink = meetingData.meetingLink || '#';
-  const guestEmailsList = meetingData.guestEmails && meetingData.guestEmails.length > 0 
-    ? meetingData.guestEmails.join(', ') 
-    : 'None';
-  
-  return `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #1A5069;">🎯 New Discovery Call Booked</h2>
-      
-      <p>Hello,</p>
-      
-      <p>A new discovery call has been booked and you are assigned as the organizer. Here are the details:</p>
-      
-      <div style="background-color: #fff3cd; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ffc107;">
-        <h3 style="color: #856404; margin-top: 0;">📅 Meeting Details</h3>
-        <p><strong>Date:</strong> ${meetingData.date}</p>
-        <p><strong>Time:</strong> ${meetingData.time} (${meetingData.timezone})</p>
-        <p><strong>Duration:</strong> ${meetingData.duration || '30 minutes'}</p>
-        <p><strong>Platform:</strong> Microsoft Teams</p>
-      </div>
-      
-      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
-        <h3 style="color: #495057; margin-top: 0;">👤 Client Information</h3>
-        <p><strong>Name:</strong> ${meetingData.userDetails.firstName} ${meetingData.userDetails.lastName}</p>
-        <p><strong>Email:</strong> ${meetingData.userDetails.email}</p>
-        <p><strong>Company:</strong> ${meetingData.userDetails.companyName || 'Not provided'}</p>
-        <p><strong>Revenue Range:</strong> ${meetingData.userDetails.revenue || 'Not provided'}</p>
-        <p><strong>Guest Emails:</strong> ${guestEmailsList}</p>
-      </div>
-      
-      <div style="background-color: #e8f4fd; padding: 20px; border-radius: 8px; margin: 20px 0;">
-        <h3 style="color: #0F7BAE; margin-top: 0;">🔗 Meeting Link</h3>
-        <p>Click the button below to join the meeting:</p>
-        <a href="${meetingLink}" style="background-color: #1A5069; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
-          Join Microsoft Teams Meeting
-        </a>
-        <p style="margin-top: 10px; font-size: 12px; color: #666;">
-          If the button doesn't work, copy and paste this link: <br>
-          <a href="${meetingLink}" style="color: #0F7BAE;">${meetingLink}</a>
-        </p>
-      </div>
-      
-      <div style="background-color: #d4edda; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
-        <h4 style="color: #155724; margin-top: 0;">✅ Action Required</h4>
-        <ul style="margin: 10px 0; padding-left: 20px;">
-          <li>Review the client information above</li>
-          <li>Prepare for the discovery call</li>
-          <li>Join the meeting 5 minutes before the scheduled time</li>
-          <li>Follow up with the client after the call</li>
-        </ul>
-      </div>
-      
-      <p>Best regards,<br>
-      Thrive Team</p>
-      
-      <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
-      <p style="font-size: 12px; color: #666;">
-        This is an automated notification. Please do not reply to this email.
-      </p>
-    </div>
-  `;
+function findTemplate(req, res) {
+  const { name } = req.params;
+  if (!(name in DEFAULT_EMAIL_TEMPLATES)) {
+    res.status(404).json({ error: `Unknown email template "${name}"`, templates: Object.keys(DEFAULT_EMAIL_TEMPLATES) });
+    return null;
+  }
+  return name;
 }
 
-// -------------------
-// 4.2. Generate Admin Notification Template
-// -------------------
-function generateAdminNotificationTemplate(meetingData) {
-  const meetingLink = meetingData.meetingLink || '#';
-  const guestEmailsList = meetingData.guestEmails && meetingData.guestEmails.length > 0 
-    ? meetingData.guestEmails.join(', ') 
-    : 'None';
-  
-  return `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #1A5069;">📊 New Discovery Call Booked</h2>
-      
-      <p>Hello Admin,</p>
-      
-      <p>A new discovery call has been booked. Here are the details:</p>
-      
-      <div style="background-color: #e7f3ff; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #007bff;">
-        <h3 style="color: #004085; margin-top: 0;">📅 Meeting Details</h3>
-        <p><strong>Date:</strong> ${meetingData.date}</p>
-        <p><strong>Time:</strong> ${meetingData.time} (${meetingData.timezone})</p>
-        <p><strong>Duration:</strong> ${meetingData.duration || '30 minutes'}</p>
-        <p><strong>Platform:</strong> Microsoft Teams</p>
-        <p><strong>Organizer:</strong> ${meetingData.organizerEmail || 'Swati'}</p>
-      </div>
-      
-      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
-        <h3 style="color: #495057; margin-top: 0;">👤 Client Information</h3>
-        <p><strong>Name:</strong> ${meetingData.userDetails.firstName} ${meetingData.userDetails.lastName}</p>
-        <p><strong>Email:</strong> ${meetingData.userDetails.email}</p>
-        <p><strong>Company:</strong> ${meetingData.userDetails.companyName || 'Not provided'}</p>
-        <p><strong>Revenue Range:</strong> ${meetingData.userDetails.revenue || 'Not provided'}</p>
-        <p><strong>Guest Emails:</strong> ${guestEmailsList}</p>
-      </div>
-      
-      <div style="background-color: #e8f4fd; padding: 20px; border-radius: 8px; margin: 20px 0;">
-        <h3 style="color: #0F7BAE; margin-top: 0;">🔗 Meeting Link</h3>
-        <p>Click the button below to join the meeting:</p>
-        <a href="${meetingLink}" style="background-color: #1A5069; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
-          Join Microsoft Teams Meeting
-        </a>
-        <p style="margin-top: 10px; font-size: 12px; color: #666;">
-          If the button doesn't work, copy and paste this link: <br>
-          <a href="${meetingLink}" style="color: #0F7BAE;">${meetingLink}</a>
-        </p>
-      </div>
-      
-      <div style="background-color: #fff3cd; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ffc107;">
-        <h4 style="color: #856404; margin-top: 0;">📈 Business Intelligence</h4>
-        <ul style="margin: 10px 0; padding-left: 20px;">
-          <li>New lead generated from website</li>
-          <li>Revenue potential: ${meetingData.userDetails.revenue || 'Unknown'}</li>
-          <li>Company size: ${meetingData.userDetails.companyName ? 'Identified' : 'Unknown'}</li>
-          <li>Additional attendees: ${meetingData.guestEmails ? meetingData.guestEmails.length : 0}</li>
-        </ul>
-      </div>
-      
-      <p>Best regards,<br>
-      Thrive Team</p>
-      
-      <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
-      <p style="font-size: 12px; color: #666;">
-        This is an automated notification. Please do not reply to this email.
-      </p>
-    </div>
-  `;
+// Render a template with sample data (merged with `data`) as JSON, HTML or plain text. `source` previews
+// an unsaved draft, `version` a stored version that isn't active.
+async function sendTemplatePreview(res, name, { source, version, data, format = 'json' }) {
+  if (!['json', 'html', 'text'].includes(format)) {
+    return res.status(400).json({ error: 'format must be json, html or text' });
+  }
+  if (data !== undefined && (typeof data !== 'object' || data === null || Array.isArray(data))) {
+    return res.status(400).json({ error: 'data must be an object' });
+  }
+
+  let draft = source;
+  if (draft === undefined && version !== undefined) {
+    const versionNumber = parseInt(version, 10);
+    draft = versionNumber === 0
+      ? DEFAULT_EMAIL_TEMPLATES[name]
+      : (await getTemplateVersions(name)).find(template => template.version === versionNumber)?.source;
+    if (draft === undefined) {
+      return res.status(404).json({ error: `Version ${version} of "${name}" not found` });
+    }
+  }
+
+  const { sources } = await getTemplateSources(draft === undefined ? {} : { [name]: draft });
+  let rendered;
+  try {
+    rendered = renderWithText(name, buildTemplateData({ ...buildSampleEmailData(name), ...data }), sources);
+  } catch (error) {
+    if (error instanceof TemplateError) return res.status(400).json({ error: error.message });
+    throw error;
+  }
+
+  if (format === 'html') return res.type('html').send(rendered.html);
+  if (format === 'text') return res.type('text').send(`Subject: ${rendered.subject}\n\n${rendered.text}`);
+  res.json({ name: name, ...rendered });
 }
 
-// -------------------
-// 5. API Routes
-// -------------------
+app.get("/api/admin/email-templates", requireAdmin, async (req, res) => {
+  try {
+    const { sources, versions } = await getTemplateSources();
+    const templates = Object.keys(DEFAULT_EMAIL_TEMPLATES).sort().map(name => {
+      const { meta } = parseTemplateSource(sources[name]);
+      return {
+        name: name,
+        description: meta.description || null,
+        subject: meta.subject || null,
+        layout: meta.layout || null,
+        activeVersion: versions[name]?.version || 0
+      };
+    });
+    res.json({ templates: templates });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// Health check endpoint
-app.get("/", (req, res) => {
-  res.json({
-    message: "Thrive Teams Meeting API is running!",
-    endpoints: {
-      health: "GET /",
-      createMeeting: "POST /api/create-meeting",
-      scheduleDiscoveryCall: "POST /api/schedule-discovery-call",
-      testPermissions: "GET /api/test-permissions",
-      availableSlots: "GET /api/available-slots?date=YYYY-MM-DD",
-      checkAvailability: "GET /api/check-availability?date=YYYY-MM-DD&time=HH:MM",
-      bookedSlots: "GET /api/booked-slots?date=YYYY-MM-DD"
-    },
-    businessHours: "9:00 AM - 6:00 PM (Monday-Friday, Asia/Kolkata timezone)",
-    timezone: "Asia/Kolkata (Noida, India)"
-  });
+app.get("/api/admin/email-templates/:name", requireAdmin, async (req, res) => {
+  try {
+    const name = findTemplate(req, res);
+    if (!name) return;
+    
+    const versions = await getTemplateVersions(name);
+    const active = versions.find(template => template.active);
+    res.json({
+      name: name,
+      activeVersion: active?.version || 0,
+      source: active?.source || DEFAULT_EMAIL_TEMPLATES[name],
+      defaultSource: DEFAULT_EMAIL_TEMPLATES[name],
+      versions: versions.map(({ source, ...template }) => template)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Get booked slots for a specific date
-app.get("/api/booked-slots", async (req, res) => {
+// Save a new version and make it active: { "source": "---\nsubject: ...\n---\n<p>...</p>", "note": "..." }
+app.put("/api/admin/email-templates/:name", requireAdmin, async (req, res) => {
   try {
-    const { date } = req.query;
+    const name = findTemplate(req, res);
+    if (!name) return;
     
-    if (!date) {
-      return res.status(400).json({
-        error: "Date parameter is required",
-        example: "/api/booked-slots?date=2025-09-30"
-      });
+    const { source, note } = req.body;
+    const { sources } = await getTemplateSources();
+    const error = validateTemplateSource(name, source, sources);
+    if (error) {
+      return res.status(400).json({ error: error });
+    }
+    
+    const { source: savedSource, ...template } = await saveTemplateVersion(name, source, note);
+    res.status(201).json({ success: true, template: template });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Switch to another stored version, or { "version": 0 } for the default file
+app.post("/api/admin/email-templates/:name/activate", requireAdmin, async (req, res) => {
+  try {
+    const name = findTemplate(req, res);
+    if (!name) return;
+    
+    const version = req.body.version;
+    if (!Number.isInteger(version) || version < 0) {
+      return res.status(400).json({ error: "version must be a whole number (0 = the default file)" });
     }
     
-    // Validate date format (YYYY-MM-DD)
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(date)) {
-      return res.status(400).json({
-        error: "Invalid date format. Use YYYY-MM-DD format",
-        provided: date,
-        example: "2025-09-30"
-      });
+    if (!(await activateTemplateVersion(name, version))) {
+      return res.status(404).json({ error: `Version ${version} of "${name}" not found` });
     }
     
-    // Get booked slots for the date
-    const bookedSlotsForDate = await getBookedSlots(date);
+    res.json({ success: true, name: name, activeVersion: version });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ?format=json|html|text&version=N
+app.get("/api/admin/email-templates/:name/preview", requireAdmin, async (req, res) => {
+  try {
+    const name = findTemplate(req, res);
+    if (!name) return;
     
-    // Convert to 12-hour format for display
-    const bookedSlotsWithDisplay = bookedSlotsForDate.map(time24h => {
-      const [hours, minutes] = time24h.split(':');
-      const hour12 = parseInt(hours) % 12 || 12;
-      const ampm = parseInt(hours) >= 12 ? 'PM' : 'AM';
-      const displayTime = `${hour12}:${minutes} ${ampm}`;
-      
-      return {
-        time: time24h,
-        displayTime: displayTime,
-        booked: true
-      };
-    });
+    await sendTemplatePreview(res, name, { version: req.query.version, format: req.query.format });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview a draft and/or custom data: { "source": "...", "data": { "organizerName": "Sam" }, "format": "html" }
+app.post("/api/admin/email-templates/:name/preview", requireAdmin, async (req, res) => {
+  try {
+    const name = findTemplate(req, res);
+    if (!name) return;
     
-    res.json({
-      date: date,
-      timezone: "Asia/Kolkata",
-      bookedSlots: bookedSlotsWithDisplay,
-      totalBookedSlots: bookedSlotsForDate.length,
-      message: bookedSlotsForDate.length > 0 
-        ? `${bookedSlotsForDate.length} slot(s) are already booked for this date`
-        : "No slots are booked for this date"
-    });
+    const { source, data, format } = req.body;
+    if (source !== undefined && typeof source !== 'string') {
+      return res.status(400).json({ error: 'source must be a string' });
+    }
     
+    await sendTemplatePreview(res, name, { source, data, format });
   } catch (error) {
-    console.error('Error getting booked slots:', error);
-    res.status(500).json({
-      error: "Internal server error",
-      details: error.message
-    });
+    res.status(500).json({ error: error.message });
   }
 });
 
@@ -901,20 +6093,24 @@ app.get("/api/test-permissions", async (req, res) => {
 
     console.log('🧪 Testing permissions...');
     
-    // Test 1: Try to get user info
-    try {
-      const userResponse = await axios.get(
-        `https://graph.microsoft.com/v1.0/users/admin@thrivebrands.ai`,
-        {
-          headers: { 
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json'
+    // Test 1: Look up the default organizer and every mailbox email is sent from
+    const organizerEmail = ORGANIZERS[0].email;
+    const mailboxes = [...new Set([organizerEmail.toLowerCase(), ...getSendingMailboxes()])];
+    for (const mailbox of mailboxes) {
+      try {
+        const userResponse = await axios.get(
+          `https://graph.microsoft.com/v1.0/users/${mailbox}`,
+          {
+            headers: { 
+              Authorization: `Bearer ${token}`,
+              'Content-Type': 'application/json'
+            }
           }
-        }
-      );
-      console.log('✅ User.Read.All permission works:', userResponse.data.displayName);
-    } catch (userError) {
-      console.log('❌ User.Read.All permission failed:', userError.response?.status, userError.response?.data?.error?.message);
+        );
+        console.log(`✅ User.Read.All permission works for ${mailbox}:`, userResponse.data.displayName);
+      } catch (userError) {
+        console.log(`❌ User.Read.All permission failed for ${mailbox}:`, userError.response?.status, userError.response?.data?.error?.message);
+      }
     }
 
     // Test 2: Try to create a test meeting using multiple approaches
@@ -924,7 +6120,7 @@ app.get("/api/test-permissions", async (req, res) => {
     try {
       console.log('🔄 Testing approach 1: /users/{userId}/onlineMeetings');
       const testMeetingResponse = await axios.post(
-        `https://graph.microsoft.com/v1.0/users/admin@thrivebrands.ai/onlineMeetings`,
+        `https://graph.microsoft.com/v1.0/users/${organizerEmail}/onlineMeetings`,
         {
           subject: "Test Meeting - Permission Check",
           startDateTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // Tomorrow
@@ -944,7 +6140,7 @@ app.get("/api/test-permissions", async (req, res) => {
       
       // Clean up - delete the test meeting
       await axios.delete(
-        `https://graph.microsoft.com/v1.0/users/admin@thrivebrands.ai/onlineMeetings/${testMeetingResponse.data.id}`,
+        `https://graph.microsoft.com/v1.0/users/${organizerEmail}/onlineMeetings/${testMeetingResponse.data.id}`,
         {
           headers: { 
             Authorization: `Bearer ${token}`,
@@ -999,7 +6195,9 @@ app.get("/api/test-permissions", async (req, res) => {
 
     res.json({
       success: true,
-      message: "Permission test completed - check server logs for details"
+      message: "Permission test completed - check server logs for details",
+      organizerEmail: organizerEmail,
+      mailboxes: mailboxes
     });
     
   } catch (error) {
@@ -1012,17 +6210,26 @@ app.get("/api/test-permissions", async (req, res) => {
 });
 
 // Create meeting endpoint
-app.post("/api/create-meeting", async (req, res) => {
+app.post("/api/create-meeting", idempotency, async (req, res) => {
   try {
     const { 
-      subject, 
       startTime, 
-      endTime, 
       attendees, 
       organizerEmail = process.env.ORGANIZER_EMAIL || "Swati.Nawani@thrivebrands.ai",
-      userDetails 
+      userDetails,
+      meetingType: meetingTypeKey // Optional; supplies the subject, duration and email wording
     } = req.body;
 
+    const meetingType = meetingTypeKey ? getMeetingType(meetingTypeKey) : null;
+    if (meetingTypeKey && !meetingType) {
+      return res.status(400).json(unknownMeetingTypeResponse(meetingTypeKey));
+    }
+    
+    const subject = req.body.subject || meetingType?.subject;
+    const endTime = req.body.endTime || (meetingType && startTime
+      ? new Date(new Date(startTime).getTime() + meetingType.durationMinutes * 60000).toISOString()
+      : undefined);
+
     if (!subject || !startTime || !endTime || !attendees || !organizerEmail) {
       return res.status(400).json({ 
         error: "Missing required fields",
@@ -1041,32 +6248,32 @@ app.post("/api/create-meeting", async (req, res) => {
     // Create Teams meeting
     const meeting = await createTeamsMeeting(subject, startTime, endTime, attendees, organizerEmail);
     
+    const emailDuration = formatDuration(Math.round((new Date(endTime) - new Date(startTime)) / 60000));
+    const meetingTypeEmailFields = meetingType ? {
+      meetingTypeName: meetingType.name,
+      closingLine: meetingType.templates.closingLine
+    } : {};
+    
     // Send custom email notifications to all attendees and userDetails
     let emailResults = [];
     
     // Send to userDetails if provided
     if (userDetails) {
-      // Convert time to 12-hour format for user-friendly email display
-      function formatTimeForEmail(time24h) {
-        const [hours, minutes] = time24h.split(':');
-        const hour12 = parseInt(hours) % 12 || 12;
-        const ampm = parseInt(hours) >= 12 ? 'PM' : 'AM';
-        return `${hour12}:${minutes} ${ampm}`;
-      }
-      
       const meetingDateTime = new Date(startTime);
       const time24h = meetingDateTime.toTimeString().slice(0, 5); // Get HH:MM format
       
       const meetingData = {
         subject: subject,
+        ...meetingTypeEmailFields,
         date: meetingDateTime.toLocaleDateString(),
         time: formatTimeForEmail(time24h), // Convert to 12-hour format for email
         timezone: 'Asia/Kolkata (GMT+5:30)',
-        duration: '1 hour',
-        meetingLink: meeting.joinUrl || meeting.onlineMeeting?.joinUrl || meeting.onlineMeetingUrl
+        duration: emailDuration,
+        meetingLink: meeting.joinUrl || meeting.onlineMeeting?.joinUrl || meeting.onlineMeetingUrl,
+        organizerEmail: organizerEmail
       };
       const emailResult = await sendEmailNotification(meetingData, userDetails);
-      emailResults.push({ recipient: userDetails.email, success: emailResult.success });
+      emailResults.push({ recipient: userDetails.email, success: emailResult.success, emailId: emailResult.emailId });
     }
     
     // Send to all attendees
@@ -1079,22 +6286,25 @@ app.post("/api/create-meeting", async (req, res) => {
       
       const meetingData = {
         subject: subject,
+        ...meetingTypeEmailFields,
         date: new Date(startTime).toLocaleDateString(),
         time: new Date(startTime).toLocaleTimeString(),
         timezone: 'Asia/Calcutta (GMT+5:30)',
-        duration: '1 hour',
-        meetingLink: meeting.joinUrl || meeting.onlineMeeting?.joinUrl || meeting.onlineMeetingUrl
+        duration: emailDuration,
+        meetingLink: meeting.joinUrl || meeting.onlineMeeting?.joinUrl || meeting.onlineMeetingUrl,
+        organizerEmail: organizerEmail
       };
       
       const emailResult = await sendEmailNotification(meetingData, attendeeDetails);
-      emailResults.push({ recipient: attendeeEmail, success: emailResult.success });
+      emailResults.push({ recipient: attendeeEmail, success: emailResult.success, emailId: emailResult.emailId });
     }
 
     res.json({ 
       success: true,
       message: "Meeting created successfully", 
       meeting,
-      emailSent: emailResults.some(r => r.success),
+      emailSent: emailResults.some(r => r.success), // Kept for existing clients
+      emailsQueued: emailResults.every(r => r.success),
       emailResults: emailResults,
       emailPreviewUrl: null
     });
@@ -1109,7 +6319,7 @@ app.post("/api/create-meeting", async (req, res) => {
 });
 
 // Discovery call specific endpoint
-app.post("/api/schedule-discovery-call", async (req, res) => {
+app.post("/api/schedule-discovery-call", idempotency, async (req, res) => {
   try {
     console.log('Received request body:', req.body);
     
@@ -1118,143 +6328,270 @@ app.post("/api/schedule-discovery-call", async (req, res) => {
           selectedTime, 
           userDetails,
           guestEmails = [],
-          organizerEmail = process.env.ORGANIZER_EMAIL || "Swati.Nawani@thrivebrands.ai",
-          organizerName = "admin" // Add organizer selection
+          organizerEmail, // Optional: request a specific organizer from the pool
+          holdToken, // Optional token from POST /api/slot-holds
+          timezone, // Optional: visitor's IANA timezone; selectedDate/selectedTime are then in that zone
+          meetingType: meetingTypeKey = DEFAULT_MEETING_TYPE
         } = req.body;
 
+    const meetingType = getMeetingType(meetingTypeKey);
+    if (!meetingType) {
+      return res.status(400).json(unknownMeetingTypeResponse(meetingTypeKey));
+    }
+
     console.log('Validation check:', {
       selectedDate: !!selectedDate,
       selectedTime: !!selectedTime,
-      userDetails: !!userDetails,
-      organizerEmail: !!organizerEmail
+      userDetails: !!userDetails
     });
     
-    if (!selectedDate || !selectedTime || !userDetails || !organizerEmail) {
+    if (!selectedDate || !selectedTime || !userDetails) {
       console.log('Missing fields:', {
         selectedDate: !selectedDate,
         selectedTime: !selectedTime,
-        userDetails: !userDetails,
-        organizerEmail: !organizerEmail
+        userDetails: !userDetails
       });
       return res.status(400).json({ 
         error: "Missing required fields",
-        required: ["selectedDate", "selectedTime", "userDetails", "organizerEmail"],
+        required: ["selectedDate", "selectedTime", "userDetails"],
         received: {
           selectedDate,
           selectedTime,
-          userDetails: userDetails ? 'present' : 'missing',
-          organizerEmail
+          userDetails: userDetails ? 'present' : 'missing'
         }
       });
     }
 
-    // Business hours validation (9 AM - 6 PM, Monday-Friday, Noida timezone)
-    const noidaTimezone = 'Asia/Kolkata';
+    // Business hours validation against the availability rules (Noida timezone)
+    const noidaTimezone = BUSINESS_TIMEZONE;
     
-    // Convert time format to 24-hour format (supports both 12-hour and 24-hour input)
-    function convertTo24Hour(timeInput) {
-      // Check if it's already in 24-hour format (no AM/PM and hour >= 13)
-      if (!timeInput.includes('AM') && !timeInput.includes('PM')) {
-        // It's 24-hour format, return as is
-        return timeInput;
-      }
-      
-      // It's 12-hour format, convert to 24-hour
-      const [time, modifier] = timeInput.split(' ');
-      let [hours, minutes] = time.split(':');
-      
-      if (hours === '12') {
-        hours = '00';
-      }
-      
-      if (modifier === 'PM') {
-        hours = parseInt(hours, 10) + 12;
-      }
-      
-      // Convert hours to string and pad with leading zero if needed
-      const hoursStr = hours.toString().padStart(2, '0');
-      return `${hoursStr}:${minutes}`;
+    // A visitor timezone means selectedDate/selectedTime are the visitor's local time;
+    // from here on the booking is worked out in the business timezone
+    const requestedSlot = resolveRequestedSlot(selectedDate, selectedTime, timezone, meetingType.durationMinutes);
+    if (requestedSlot.error) {
+      return res.status(400).json(requestedSlot.error);
     }
+    const bookingDate = requestedSlot.date;
+    const time24h = requestedSlot.time;
     
-    const time24h = convertTo24Hour(selectedTime);
-    const selectedDateTime = new Date(`${selectedDate}T${time24h}:00`);
-    
-    // For day validation, we only need the date part (not time)
-    const dateOnly = new Date(`${selectedDate}T00:00:00`);
-    const dayOfWeek = dateOnly.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-    
-    // For hour validation, we need the actual time
+    // Nearest open slots, offered whenever the requested one can't be booked
+    const suggestAlternatives = organizers => suggestAlternativeSlots(bookingDate, time24h, meetingType, {
+      holdToken,
+      visitorTimezone: timezone,
+      organizers
+    });
+    const selectedDateTime = new Date(`${bookingDate}T${time24h}:00`);
     const hour = selectedDateTime.getHours();
     
-    // Validate business days (Monday-Friday)
-    if (dayOfWeek === 0 || dayOfWeek === 6) {
+    const dayAvailability = await getDateAvailability(bookingDate);
+    const hoursCheck = checkBusinessHours(dayAvailability, time24h, meetingType.durationMinutes);
+    
+    // Validate business days (weekly rules and date overrides)
+    if (!hoursCheck.isBusinessDay) {
       return res.status(400).json({
-        error: "Meetings can only be scheduled on weekdays (Monday-Friday)",
+        error: hoursCheck.message,
+        reason: hoursCheck.reason,
         selectedDate: selectedDate,
-        dayOfWeek: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][dayOfWeek]
+        dayOfWeek: DAY_NAMES[dayAvailability.dayOfWeek],
+        suggestions: await suggestAlternatives()
       });
     }
     
-    // Validate business hours (9 AM - 6 PM)
-    if (hour < 9 || hour >= 18) {
+    // Validate business hours; the whole meeting has to fit in one window
+    if (!hoursCheck.isBusinessHours) {
       return res.status(400).json({
-        error: "Meetings can only be scheduled between 9:00 AM and 6:00 PM (Noida time)",
+        error: hoursCheck.message,
+        reason: hoursCheck.reason,
         selectedTime: selectedTime,
         hour: hour,
-        businessHours: "9:00 AM - 6:00 PM (Asia/Kolkata timezone)"
+        businessHours: `${hoursCheck.businessHours} (Asia/Kolkata timezone)`,
+        suggestions: await suggestAlternatives()
+      });
+    }
+    
+    // Validate minimum notice and booking horizon
+    const windowCheck = checkBookingWindow(bookingDate, time24h, meetingType, await getEarliestBookableTime(meetingType));
+    if (windowCheck) {
+      return res.status(400).json({
+        error: windowCheck.message,
+        reason: windowCheck.reason,
+        selectedDate: selectedDate,
+        selectedTime: selectedTime,
+        suggestions: await suggestAlternatives()
       });
     }
     
     console.log('Business hours validation passed:', {
-      selectedDate,
+      bookingDate,
       selectedTime,
-      dayOfWeek: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][dayOfWeek],
+      dayOfWeek: DAY_NAMES[dayAvailability.dayOfWeek],
       hour: hour,
       timezone: noidaTimezone
     });
 
     // Convert date and time to ISO format with proper timezone handling
-    console.log('Converting date and time:', { selectedDate, selectedTime });
+    console.log('Converting date and time:', { selectedDate, selectedTime, timezone });
     console.log('Converted time to 24-hour format:', time24h);
     
     // Create date in Noida timezone and convert to UTC for Teams API
     // Parse the date and time components
-    const year = parseInt(selectedDate.split('-')[0]);
-    const month = parseInt(selectedDate.split('-')[1]) - 1; // JavaScript months are 0-based
-    const day = parseInt(selectedDate.split('-')[2]);
+    const year = parseInt(bookingDate.split('-')[0]);
+    const month = parseInt(bookingDate.split('-')[1]) - 1; // JavaScript months are 0-based
+    const day = parseInt(bookingDate.split('-')[2]);
     const [hours, minutes] = time24h.split(':').map(Number);
     
     // Create date in Noida timezone (UTC+5:30) using ISO string with timezone offset
-    const noidaDateTime = new Date(`${selectedDate}T${time24h}:00+05:30`);
+    const noidaDateTime = new Date(`${bookingDate}T${time24h}:00+05:30`);
     console.log('Noida DateTime:', noidaDateTime);
     console.log('Noida DateTime ISO:', noidaDateTime.toISOString());
     
     // The date is already in UTC when created with timezone offset, so use it directly
     const startDateTime = noidaDateTime;
-    const endDateTime = new Date(startDateTime.getTime() + 30 * 60000); // 30 minutes later
+    const endDateTime = new Date(startDateTime.getTime() + meetingType.durationMinutes * 60000);
     
     console.log('Calculated times:', {
       startDateTime: startDateTime.toISOString(),
       endDateTime: endDateTime.toISOString()
     });
 
-            // Use single ORGANIZER_EMAIL from environment
-        const selectedOrganizerEmail = process.env.ORGANIZER_EMAIL || "admin@thrivebrands.ai";
-        
+        // The organizer is assigned from the pool when the slot is reserved below
         const meetingData = {
-          subject: "Discovery Call - Thrive",
+          subject: meetingType.subject,
           startTime: startDateTime.toISOString(),
           endTime: endDateTime.toISOString(),
           attendees: [userDetails.email, ...guestEmails], // Include userDetails.email and guest emails
-          organizerEmail: selectedOrganizerEmail,
           userDetails: userDetails
         };
 
-    // Create Teams meeting
-    console.log('Creating Teams meeting with data:', meetingData);
+    // Redeem the visitor's hold, or make sure nobody else is holding the slot
+    let hold = null;
+    if (holdToken) {
+      hold = await getSlotHold(holdToken);
+      if (!hold) {
+        return res.status(410).json({
+          success: false,
+          error: "Your hold on this slot has expired. Please pick a time again."
+        });
+      }
+      if (hold.date !== bookingDate || hold.time !== time24h || (hold.meetingType || DEFAULT_MEETING_TYPE) !== meetingType.key) {
+        return res.status(400).json({
+          success: false,
+          error: "Hold token does not match the selected slot",
+          heldSlot: { date: hold.date, time: hold.time, meetingType: hold.meetingType }
+        });
+      }
+    }
+    
+    // Candidate organizers: the one holding the slot for this visitor, the one requested
+    // (if they are in the meeting type's pool), or the whole pool
+    const organizerPool = getOrganizerPool(meetingType);
+    let candidateOrganizers = organizerPool;
+    if (hold?.organizerEmail) {
+      candidateOrganizers = [{ email: hold.organizerEmail, name: hold.organizerName || hold.organizerEmail.split('@')[0], priority: 1 }];
+    } else if (organizerEmail) {
+      const requestedOrganizer = organizerPool.find(organizer => sameEmail(organizer.email, organizerEmail));
+      if (requestedOrganizer) {
+        candidateOrganizers = [requestedOrganizer];
+      } else {
+        console.log(`Requested organizer ${organizerEmail} is not in the pool for ${meetingType.key}, assigning from the pool`);
+      }
+    }
+    
+    const conflictingSlot = {
+      date: bookingDate,
+      time: time24h,
+      displayTime: formatTimeForEmail(time24h)
+    };
+    const { unbooked, withinBuffer, limitReason, available, free } = await findFreeOrganizers(
+      bookingDate, time24h, meetingType, candidateOrganizers, { holdToken }
+    );
+    
+    if (unbooked.length === 0 && withinBuffer.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "This time is too close to another meeting",
+        reason: "Buffer time",
+        conflictingSlot: conflictingSlot,
+        suggestions: await suggestAlternatives(candidateOrganizers)
+      });
+    }
+    
+    if (limitReason) {
+      return res.status(409).json({
+        success: false,
+        error: describeLimitReason(limitReason),
+        reason: limitReason,
+        conflictingSlot: conflictingSlot,
+        suggestions: await suggestAlternatives(candidateOrganizers)
+      });
+    }
+    
+    if (unbooked.length > 0 && available.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: "The organizer is not available at this time",
+        reason: "Organizer busy",
+        conflictingSlot: conflictingSlot,
+        suggestions: await suggestAlternatives(candidateOrganizers)
+      });
+    }
+    
+    if (available.length > 0 && free.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: "This time slot is on hold while another visitor completes their booking",
+        reason: "On hold",
+        conflictingSlot: conflictingSlot,
+        suggestions: await suggestAlternatives(candidateOrganizers)
+      });
+    }
+
+    // Reserve the slot before creating anything, so concurrent requests cannot both book it.
+    // If another request takes the assigned organizer first, the next free organizer is tried.
+    let booking;
+    let selectedOrganizer;
+    try {
+      ({ organizer: selectedOrganizer, result: booking } = await assignOrganizer(free, bookingDate, meetingType,
+        organizer => reserveBooking({
+          date: bookingDate,
+          time: time24h,
+          endTime: minutesToTime(timeToMinutes(time24h) + meetingType.durationMinutes),
+          meetingType: meetingType.key,
+          durationMinutes: meetingType.durationMinutes,
+          bufferBeforeMinutes: meetingType.bufferBeforeMinutes,
+          bufferAfterMinutes: meetingType.bufferAfterMinutes,
+          timezone: noidaTimezone,
+          startDateTime: meetingData.startTime,
+          endDateTime: meetingData.endTime,
+          userDetails: userDetails,
+          guestEmails: guestEmails,
+          organizerEmail: organizer.email,
+          organizerName: organizer.name,
+          visitorTimezone: timezone || null,
+          emailResults: []
+        }, meetingType, organizer)));
+    } catch (error) {
+      if (isSlotConflictError(error)) {
+        console.log('Slot already taken:', bookingDate, time24h);
+        return res.status(409).json({
+          success: false,
+          error: "This time slot is already booked",
+          conflictingSlot: conflictingSlot,
+          suggestions: await suggestAlternatives(candidateOrganizers)
+        });
+      }
+      throw error;
+    }
     
+    const selectedOrganizerEmail = selectedOrganizer.email;
+    meetingData.organizerEmail = selectedOrganizerEmail;
+    console.log(`Assigned organizer ${selectedOrganizer.name} <${selectedOrganizerEmail}>`);
+
+    // Create the Teams meeting and confirm the booking. Any failure releases the reserved slot,
+    // so a booking that never completed cannot keep it.
     let meeting;
     try {
+      console.log('Creating Teams meeting with data:', meetingData);
       meeting = await createTeamsMeeting(
         meetingData.subject,
         meetingData.startTime,
@@ -1264,47 +6601,86 @@ app.post("/api/schedule-discovery-call", async (req, res) => {
       );
       console.log('Teams meeting created successfully:', meeting);
       
-      // Add the booked slot to our tracking system
-      await addBookedSlot(selectedDate, time24h);
+      if (holdToken) {
+        await releaseSlotHold(holdToken);
+      }
+      
+      booking = await updateBooking(booking.bookingId, {
+        status: 'confirmed',
+        meeting: {
+          id: meeting.id,
+          kind: getMeetingKind(meeting),
+          joinUrl: meeting.joinUrl || meeting.onlineMeeting?.joinUrl || meeting.onlineMeetingUrl,
+          subject: meetingData.subject
+        }
+      });
     } catch (error) {
-      console.error('Error creating Teams meeting:', error);
+      console.error(meeting ? 'Error confirming booking:' : 'Error creating Teams meeting:', error);
+      
+      // Roll back the reservation so the slot is offered again
+      try {
+        await updateBooking(booking.bookingId, {
+          status: 'failed',
+          slotKeys: undefined,
+          failureReason: error.message
+        });
+      } catch (rollbackError) {
+        console.error('Error releasing reserved slot:', rollbackError);
+      }
+      
+      // Remove the meeting again so the client is not left with an invite to a booking that failed
+      if (meeting) {
+        await cancelTeamsMeeting({ id: meeting.id, kind: getMeetingKind(meeting) }, selectedOrganizerEmail);
+      }
+      
       return res.status(500).json({
         success: false,
-        error: 'Failed to create Teams meeting',
+        error: meeting ? 'Failed to confirm booking' : 'Failed to create Teams meeting',
         details: error.message
       });
     }
 
-    // Convert time to 12-hour format for user-friendly email display
-    function formatTimeForEmail(time24h) {
-      const [hours, minutes] = time24h.split(':');
-      const hour12 = parseInt(hours) % 12 || 12;
-      const ampm = parseInt(hours) >= 12 ? 'PM' : 'AM';
-      return `${hour12}:${minutes} ${ampm}`;
-    }
-    
     // Send custom email notifications to all attendees and userDetails
     let emailResults = [];
     
-    // Prepare email data (use the exact same date and time that was booked)
-    const emailDate = selectedDate; // Use the original selectedDate format
+    // Prepare email data (use the exact same date and time that was booked).
+    // The organizer and admin get the business timezone, the client and guests the visitor's timezone.
+    const emailDate = bookingDate;
     const emailTime = formatTimeForEmail(time24h); // Convert to 12-hour format for email
+    const visitorEmailTimes = formatEmailTimeFields(meetingData.startTime, timezone || BUSINESS_TIMEZONE);
+    
+    // Calendar invite for the client and guests; later changes to the booking update the same event
+    const calendarInvite = buildCalendarAttachment(booking);
+    const calendarUrl = buildBookingActionUrl(booking.bookingId, 'calendar');
+    const emailDuration = formatDuration(meetingType.durationMinutes);
+    
+    // Wording that depends on the meeting type and the assigned organizer
+    const meetingTypeEmailFields = {
+      meetingTypeName: meetingType.name,
+      closingLine: meetingType.templates.closingLine,
+      organizerActions: meetingType.templates.organizerActions,
+      bookingId: booking.bookingId,
+      organizerEmail: selectedOrganizerEmail,
+      organizerName: selectedOrganizer.name
+    };
     
     // Send to userDetails
     try {
       
       const emailData = {
-        subject: "Discovery Call - Thrive",
-        date: emailDate,
-        time: emailTime,
-        timezone: 'Asia/Kolkata (GMT+5:30)',
-        duration: '30 minutes',
-        meetingLink: meeting.joinUrl || meeting.onlineMeeting?.joinUrl || meeting.onlineMeetingUrl
+        subject: meetingType.subject,
+        ...meetingTypeEmailFields,
+        ...visitorEmailTimes,
+        duration: emailDuration,
+        meetingLink: meeting.joinUrl || meeting.onlineMeeting?.joinUrl || meeting.onlineMeetingUrl,
+        cancelUrl: buildBookingActionUrl(booking.bookingId, 'cancel'),
+        rescheduleUrl: buildBookingActionUrl(booking.bookingId, 'reschedule'),
+        calendarUrl: calendarUrl
       };
       
       console.log('Sending email to userDetails:', userDetails.email);
-      const userEmailResult = await sendEmailNotification(emailData, userDetails);
-      emailResults.push({ recipient: userDetails.email, success: userEmailResult.success });
+      const userEmailResult = await sendEmailNotification(emailData, userDetails, { attachments: [calendarInvite] });
+      emailResults.push({ recipient: userDetails.email, success: userEmailResult.success, emailId: userEmailResult.emailId });
     } catch (error) {
       console.error('Error sending email to userDetails:', error);
       emailResults.push({ recipient: userDetails.email, success: false, error: error.message });
@@ -1323,31 +6699,31 @@ app.post("/api/schedule-discovery-call", async (req, res) => {
       };
       
       const attendeeEmailData = {
-        subject: "Discovery Call - Thrive",
-        date: selectedDate,
-        time: formatTimeForEmail(time24h), // Convert to 12-hour format for email
-        timezone: 'Asia/Kolkata (GMT+5:30)',
-        duration: '30 minutes',
+        subject: meetingType.subject,
+        ...meetingTypeEmailFields,
+        ...visitorEmailTimes,
+        duration: emailDuration,
         meetingLink: meeting.joinUrl || meeting.onlineMeeting?.joinUrl || meeting.onlineMeetingUrl
       };
       
       try {
-        const attendeeEmailResult = await sendEmailNotification(attendeeEmailData, attendeeDetails);
-        emailResults.push({ recipient: attendeeEmail, success: attendeeEmailResult.success });
+        const attendeeEmailResult = await sendEmailNotification(attendeeEmailData, attendeeDetails, { attachments: [calendarInvite] });
+        emailResults.push({ recipient: attendeeEmail, success: attendeeEmailResult.success, emailId: attendeeEmailResult.emailId });
       } catch (error) {
         console.error('Error sending email to attendee:', attendeeEmail, error);
         emailResults.push({ recipient: attendeeEmail, success: false, error: error.message });
       }
     }
     
-    // Send notification to organizer (Swati)
+    // Send notification to the assigned organizer
     try {
       const organizerNotificationData = {
-        subject: "New Discovery Call Booked",
+        subject: `New ${meetingType.name} Booked`,
+        ...meetingTypeEmailFields,
         date: emailDate,
         time: emailTime, // Already converted to 12-hour format above
         timezone: 'Asia/Kolkata (GMT+5:30)',
-        duration: '30 minutes',
+        duration: emailDuration,
         meetingLink: meeting.joinUrl || meeting.onlineMeeting?.joinUrl || meeting.onlineMeetingUrl,
         userDetails: userDetails,
         guestEmails: guestEmails
@@ -1355,7 +6731,7 @@ app.post("/api/schedule-discovery-call", async (req, res) => {
       
       console.log('Sending organizer notification to:', selectedOrganizerEmail);
       const organizerEmailResult = await sendOrganizerNotification(organizerNotificationData, selectedOrganizerEmail);
-      emailResults.push({ recipient: selectedOrganizerEmail, success: organizerEmailResult.success, type: 'organizer_notification' });
+      emailResults.push({ recipient: selectedOrganizerEmail, success: organizerEmailResult.success, emailId: organizerEmailResult.emailId, type: 'organizer_notification' });
     } catch (error) {
       console.error('Error sending organizer notification:', error);
       emailResults.push({ recipient: selectedOrganizerEmail, success: false, error: error.message, type: 'organizer_notification' });
@@ -1366,11 +6742,12 @@ app.post("/api/schedule-discovery-call", async (req, res) => {
     if (adminEmail !== selectedOrganizerEmail) {
       try {
         const adminNotificationData = {
-          subject: "New Discovery Call Booked",
+          subject: `New ${meetingType.name} Booked`,
+        ...meetingTypeEmailFields,
           date: emailDate,
           time: emailTime, // Already converted to 12-hour format above
           timezone: 'Asia/Kolkata (GMT+5:30)',
-          duration: '30 minutes',
+          duration: emailDuration,
           meetingLink: meeting.joinUrl || meeting.onlineMeeting?.joinUrl || meeting.onlineMeetingUrl,
           userDetails: userDetails,
           guestEmails: guestEmails,
@@ -1379,23 +6756,41 @@ app.post("/api/schedule-discovery-call", async (req, res) => {
         
         console.log('Sending admin notification to:', adminEmail);
         const adminEmailResult = await sendAdminNotification(adminNotificationData, adminEmail);
-        emailResults.push({ recipient: adminEmail, success: adminEmailResult.success, type: 'admin_notification' });
+        emailResults.push({ recipient: adminEmail, success: adminEmailResult.success, emailId: adminEmailResult.emailId, type: 'admin_notification' });
       } catch (error) {
         console.error('Error sending admin notification:', error);
         emailResults.push({ recipient: adminEmail, success: false, error: error.message, type: 'admin_notification' });
       }
     }
 
+    try {
+      await updateBooking(booking.bookingId, { emailResults: emailResults });
+    } catch (error) {
+      console.error('Error saving email results to booking:', error);
+    }
+    
+    await scheduleBookingReminders(booking);
+
     res.json({ 
       success: true,
       message: "Discovery call scheduled successfully", 
+      bookingId: booking.bookingId,
+      meetingType: meetingType.key,
+      organizer: {
+        name: selectedOrganizer.name,
+        email: selectedOrganizerEmail
+      },
       meeting: {
         id: meeting.id,
         joinUrl: meeting.joinUrl,
         startDateTime: meeting.startDateTime,
         endDateTime: meeting.endDateTime
       },
-      emailSent: emailResults.some(r => r.success),
+      slot: requestedSlot.times,
+      bookingUrl: buildBookingViewUrl(booking.bookingId),
+      calendarUrl: calendarUrl,
+      emailSent: emailResults.some(r => r.success), // Kept for existing clients
+      emailsQueued: emailResults.every(r => r.success),
       emailResults: emailResults,
       emailPreviewUrl: null
     });
@@ -1412,7 +6807,7 @@ app.post("/api/schedule-discovery-call", async (req, res) => {
 // Get available time slots for a specific date
 app.get("/api/available-slots", async (req, res) => {
   try {
-    const { date } = req.query;
+    const { date, holdToken, timezone, meetingType: meetingTypeKey = DEFAULT_MEETING_TYPE } = req.query;
     
     if (!date) {
       return res.status(400).json({
@@ -1422,80 +6817,56 @@ app.get("/api/available-slots", async (req, res) => {
       });
     }
     
-    const noidaTimezone = 'Asia/Kolkata';
-    const selectedDate = new Date(`${date}T00:00:00`);
+    const meetingType = getMeetingType(meetingTypeKey);
+    if (!meetingType) {
+      return res.status(400).json(unknownMeetingTypeResponse(meetingTypeKey));
+    }
+    
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json(invalidTimeZoneResponse(timezone));
+    }
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ error: "Invalid date, expected YYYY-MM-DD", date });
+    }
+    
+    const noidaTimezone = BUSINESS_TIMEZONE;
+    
+    // With a visitor timezone, `date` is the visitor's local date, which can overlap two business dates
+    const businessDates = timezone ? getBusinessDatesForVisitorDay(date, timezone) : [date];
+    const { days, earliest } = await getSlotsForRange(businessDates[0], businessDates[businessDates.length - 1], meetingType, {
+      holdToken,
+      visitorTimezone: timezone
+    });
     
-    // Convert to Noida timezone
-    const noidaDate = new Date(selectedDate.toLocaleString("en-US", {timeZone: noidaTimezone}));
-    const dayOfWeek = noidaDate.getDay();
+    const { closed, slots: timeSlots } = getSlotsForDate(date, days, timezone);
     
-    // Check if it's a weekday
-    if (dayOfWeek === 0 || dayOfWeek === 6) {
+    // No bookable hours on any of the dates (weekly rules, date overrides and blackouts)
+    if (closed) {
       return res.json({
         date,
         timezone: noidaTimezone,
-        dayOfWeek: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][dayOfWeek],
+        visitorTimezone: timezone,
+        dayOfWeek: DAY_NAMES[getDayOfWeek(date)],
         available: false,
-        message: "Meetings can only be scheduled on weekdays (Monday-Friday)",
+        message: closed.message,
+        reason: closed.reason,
         slots: []
       });
     }
     
-    // Generate all possible time slots (9 AM to 5:30 PM, 30-minute intervals)
-    const timeSlots = [];
-    
-    // Get current time in Noida timezone for proper comparison
-    const now = new Date();
-    const currentDate = now.toLocaleDateString('en-CA', { timeZone: noidaTimezone }); // YYYY-MM-DD format
-    const currentTime = now.toLocaleTimeString('en-GB', { timeZone: noidaTimezone, hour12: false }); // HH:MM format
-    
-    // Check if the requested date is today
-    const isToday = date === currentDate;
-    
-    for (let hour = 9; hour < 18; hour++) {
-      for (let minute = 0; minute < 60; minute += 30) {
-        const slotTime = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-        
-        // Check if slot is in the past (only for today's date)
-        let isPast = false;
-        if (isToday) {
-          isPast = slotTime <= currentTime;
-        }
-        
-        // Check if slot is already booked
-        const isBooked = await isSlotBooked(date, slotTime);
-        
-        // Slot is available if it's not in the past and not booked
-        const isAvailable = !isPast && !isBooked;
-        
-        // Convert to 12-hour format for display (manual conversion to avoid timezone issues)
-        const [hours, minutes] = slotTime.split(':');
-        const hour12 = parseInt(hours) % 12 || 12;
-        const ampm = parseInt(hours) >= 12 ? 'PM' : 'AM';
-        const displayTime = `${hour12}:${minutes} ${ampm}`;
-        
-        // Determine reason for availability status
-        let reason = 'Available';
-        if (isPast) {
-          reason = 'Past time slot';
-        } else if (isBooked) {
-          reason = 'Already booked';
-        }
-        
-        timeSlots.push({
-          time: slotTime,
-          displayTime: displayTime,
-          available: isAvailable,
-          reason: reason
-        });
-      }
-    }
-    
     res.json({
       date,
       timezone: noidaTimezone,
-      dayOfWeek: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][dayOfWeek],
-      businessHours: "9:00 AM - 6:00 PM (Monday-Friday)",
+      visitorTimezone: timezone,
+      dayOfWeek: DAY_NAMES[getDayOfWeek(date)],
+      businessHours: timezone ? undefined : days[0].businessHours,
+      businessDays: timezone
+        ? days.map(day => ({ date: day.date, dayOfWeek: day.dayOfWeek, businessHours: day.businessHours, reason: day.closed?.reason }))
+        : undefined,
+      meetingType: meetingType.key,
+      durationMinutes: meetingType.durationMinutes,
+      slotIntervalMinutes: meetingType.slotIntervalMinutes,
+      earliestBookable: `${earliest.date}T${minutesToTime(earliest.minutes)}`,
       totalSlots: timeSlots.length,
       availableSlots: timeSlots.filter(slot => slot.available).length,
       slots: timeSlots
@@ -1506,107 +6877,181 @@ app.get("/api/available-slots", async (req, res) => {
   }
 });
 
-// Check availability endpoint with business hours validation
-app.get("/api/check-availability", async (req, res) => {
+// Availability for a range of dates in one request, e.g. to fill a month calendar.
+// Every day gets a summary; pass includeSlots=true for the full slot lists.
+app.get("/api/available-slots/range", async (req, res) => {
   try {
-    const { date, time } = req.query;
+    const { from, to, holdToken, timezone, includeSlots, meetingType: meetingTypeKey = DEFAULT_MEETING_TYPE } = req.query;
     
-    if (!date || !time) {
+    if (!from || !to) {
       return res.status(400).json({
         error: "Missing required parameters",
-        required: ["date", "time"],
-        example: "/api/check-availability?date=2025-09-09&time=14:00"
+        required: ["from", "to"],
+        example: "/api/available-slots/range?from=2025-09-01&to=2025-09-30"
       });
     }
     
-    // Business hours validation (9 AM - 6 PM, Monday-Friday, Noida timezone)
-    const noidaTimezone = 'Asia/Kolkata';
+    const meetingType = getMeetingType(meetingTypeKey);
+    if (!meetingType) {
+      return res.status(400).json(unknownMeetingTypeResponse(meetingTypeKey));
+    }
     
-    // Convert time format to 24-hour format (supports both 12-hour and 24-hour input)
-    function convertTo24Hour(timeInput) {
-      // Check if it's already in 24-hour format (no AM/PM and hour >= 13)
-      if (!timeInput.includes('AM') && !timeInput.includes('PM')) {
-        // It's 24-hour format, return as is
-        return timeInput;
-      }
-      
-      // It's 12-hour format, convert to 24-hour
-      const [time, modifier] = timeInput.split(' ');
-      let [hours, minutes] = time.split(':');
-      
-      if (hours === '12') {
-        hours = '00';
-      }
-      
-      if (modifier === 'PM') {
-        hours = parseInt(hours, 10) + 12;
-      }
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json(invalidTimeZoneResponse(timezone));
+    }
+    if (!isValidDateString(from) || !isValidDateString(to)) {
+      return res.status(400).json({ error: "Invalid date, expected YYYY-MM-DD", from, to });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: "from must not be after to", from, to });
+    }
+    
+    const dayCount = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+    if (dayCount > AVAILABILITY_RANGE_MAX_DAYS) {
+      return res.status(400).json({
+        error: `The range can cover at most ${AVAILABILITY_RANGE_MAX_DAYS} days`,
+        from,
+        to,
+        maxDays: AVAILABILITY_RANGE_MAX_DAYS
+      });
+    }
+    
+    // With a visitor timezone, from and to are the visitor's local dates
+    const businessFrom = timezone ? getBusinessDatesForVisitorDay(from, timezone)[0] : from;
+    const businessTo = timezone ? getBusinessDatesForVisitorDay(to, timezone).pop() : to;
+    const { days, earliest } = await getSlotsForRange(businessFrom, businessTo, meetingType, {
+      holdToken,
+      visitorTimezone: timezone
+    });
+    
+    const summaries = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      const { businessDays, closed, slots } = getSlotsForDate(date, days, timezone);
+      const openSlots = slots.filter(slot => slot.available);
+      const firstOpen = openSlots[0];
       
-      // Convert hours to string and pad with leading zero if needed
-      const hoursStr = hours.toString().padStart(2, '0');
-      return `${hoursStr}:${minutes}`;
+      summaries.push({
+        date,
+        dayOfWeek: DAY_NAMES[getDayOfWeek(date)],
+        available: openSlots.length > 0,
+        reason: closed?.reason,
+        businessHours: timezone ? undefined : businessDays[0].businessHours,
+        totalSlots: slots.length,
+        availableSlots: openSlots.length,
+        firstAvailable: firstOpen ? (firstOpen.visitor || firstOpen).start : null,
+        slots: includeSlots === 'true' ? slots : undefined
+      });
     }
     
-    const time24h = convertTo24Hour(time);
-    const selectedDateTime = new Date(`${date}T${time24h}:00`);
+    res.json({
+      from,
+      to,
+      timezone: BUSINESS_TIMEZONE,
+      visitorTimezone: timezone,
+      meetingType: meetingType.key,
+      durationMinutes: meetingType.durationMinutes,
+      slotIntervalMinutes: meetingType.slotIntervalMinutes,
+      earliestBookable: `${earliest.date}T${minutesToTime(earliest.minutes)}`,
+      availableDays: summaries.filter(day => day.available).length,
+      days: summaries
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// First open slots across the coming days, e.g. for a "next available" button
+app.get("/api/next-available", async (req, res) => {
+  try {
+    const { from, period, holdToken, timezone, meetingType: meetingTypeKey = DEFAULT_MEETING_TYPE } = req.query;
+    const count = req.query.count === undefined ? SUGGESTION_COUNT : Number(req.query.count);
     
-    // For day validation, we only need the date part (not time)
-    const dateOnly = new Date(`${date}T00:00:00`);
-    const dayOfWeek = dateOnly.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
+    const meetingType = getMeetingType(meetingTypeKey);
+    if (!meetingType) {
+      return res.status(400).json(unknownMeetingTypeResponse(meetingTypeKey));
+    }
     
-    // For hour validation, we need the actual time
-    const hour = selectedDateTime.getHours();
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json(invalidTimeZoneResponse(timezone));
+    }
+    if (from && !isValidDateString(from)) {
+      return res.status(400).json({ error: "Invalid date, expected YYYY-MM-DD", from });
+    }
+    if (period && !DAY_PERIODS[period]) {
+      return res.status(400).json({ error: "Unknown period", period, availablePeriods: Object.keys(DAY_PERIODS) });
+    }
+    if (!Number.isInteger(count) || count < 1 || count > NEXT_AVAILABLE_MAX_COUNT) {
+      return res.status(400).json({ error: `count must be a whole number from 1 to ${NEXT_AVAILABLE_MAX_COUNT}`, count: req.query.count });
+    }
     
-    // Check if it's a weekday
-    const isWeekday = dayOfWeek >= 1 && dayOfWeek <= 5;
+    const slots = await findNextOpenSlots(meetingType, { fromDate: from, count, period, holdToken, visitorTimezone: timezone });
     
-    // Check if it's within business hours
-    const isBusinessHours = hour >= 9 && hour < 18;
+    res.json({
+      timezone: BUSINESS_TIMEZONE,
+      visitorTimezone: timezone,
+      meetingType: meetingType.key,
+      durationMinutes: meetingType.durationMinutes,
+      period: period,
+      found: slots.length,
+      slots: slots
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check availability endpoint with business hours validation
+app.get("/api/check-availability", async (req, res) => {
+  try {
+    const { date, time, holdToken, timezone, meetingType: meetingTypeKey = DEFAULT_MEETING_TYPE } = req.query;
     
-    // Check if it's not in the past (timezone-aware comparison)
-    const now = new Date();
-    const currentDate = now.toLocaleDateString('en-CA', { timeZone: noidaTimezone }); // YYYY-MM-DD format
-    const currentTime = now.toLocaleTimeString('en-GB', { timeZone: noidaTimezone, hour12: false }); // HH:MM format
+    if (!date || !time) {
+      return res.status(400).json({
+        error: "Missing required parameters",
+        required: ["date", "time"],
+        example: "/api/check-availability?date=2025-09-09&time=14:00"
+      });
+    }
     
-    let isFuture = true;
-    if (date === currentDate) {
-      // For today's date, compare times directly
-      isFuture = time24h > currentTime;
-    } else {
-      // For future dates, it's always future
-      isFuture = date > currentDate;
+    const meetingType = getMeetingType(meetingTypeKey);
+    if (!meetingType) {
+      return res.status(400).json(unknownMeetingTypeResponse(meetingTypeKey));
     }
     
-    // Check if slot is already booked
-    const isBooked = await isSlotBooked(date, time24h);
+    // With a visitor timezone, date and time are the visitor's local time
+    const slot = resolveRequestedSlot(date, time, timezone, meetingType.durationMinutes);
+    if (slot.error) {
+      return res.status(400).json(slot.error);
+    }
     
-    const available = isWeekday && isBusinessHours && isFuture && !isBooked;
+    const slotCheck = await checkSlotAvailability(slot.date, slot.time, { holdToken, meetingType });
     
-    let message = '';
-    if (!isWeekday) {
-      message = 'Meetings can only be scheduled on weekdays (Monday-Friday)';
-    } else if (!isBusinessHours) {
-      message = 'Meetings can only be scheduled between 9:00 AM and 6:00 PM (Noida time)';
-    } else if (!isFuture) {
-      message = 'Cannot schedule meetings in the past';
-    } else if (isBooked) {
-      message = 'This time slot is already booked';
-    } else {
-      message = 'Time slot is available';
-    }
+    // Offer the nearest open slots when this one can't be booked
+    const suggestions = slotCheck.available
+      ? undefined
+      : await suggestAlternativeSlots(slot.date, slot.time, meetingType, { holdToken, visitorTimezone: timezone });
     
     res.json({ 
-      available,
-      message,
+      available: slotCheck.available,
+      message: slotCheck.message,
+      reason: slotCheck.reason,
       date,
       time,
-      timezone: noidaTimezone,
-      businessHours: "9:00 AM - 6:00 PM (Monday-Friday)",
-      dayOfWeek: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][dayOfWeek],
-      hour: hour,
-      isWeekday,
-      isBusinessHours,
-      isFuture
+      timezone: BUSINESS_TIMEZONE,
+      visitorTimezone: timezone,
+      slot: slot.times,
+      businessHours: slotCheck.businessHours,
+      meetingType: meetingType.key,
+      durationMinutes: meetingType.durationMinutes,
+      dayOfWeek: slotCheck.dayOfWeek,
+      hour: slotCheck.hour,
+      isBusinessDay: slotCheck.isBusinessDay,
+      isWeekday: slotCheck.isWeekday,
+      isBusinessHours: slotCheck.isBusinessHours,
+      isFuture: slotCheck.isFuture,
+      isHeld: slotCheck.isHeld,
+      availableOrganizers: slotCheck.available ? slotCheck.freeOrganizers.length : 0,
+      suggestions: suggestions
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -1638,6 +7083,8 @@ const server = app.listen(PORT, async () => {
   
   // Connect to MongoDB
   await connectToMongoDB();
+  startReminderPoller();
+  startEmailPoller();
 });
 
 // Handle server errors
@@ -0,0 +1,131 @@
+// test-bookings.js - Checks for slot reservation, slot holds and idempotent booking requests
+// Run against a server in mock mode (no Azure credentials): every check books real slots
+import fetch from 'node-fetch';
+
+const BASE_URL = 'http://localhost:5000';
+
+let failures = 0;
+function check(label, passed, details) {
+  if (passed) {
+    console.log(`   ✅ ${label}`);
+  } else {
+    failures++;
+    console.log(`   ❌ ${label}`, details === undefined ? '' : details);
+  }
+}
+
+// Open slots from tomorrow on, two hours apart, so a booking made by one check never affects the next
+async function findOpenSlots(count) {
+  const found = [];
+  for (let day = 1; day <= 30 && found.length < count; day++) {
+    const date = new Date(Date.now() + day * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const response = await fetch(`${BASE_URL}/api/available-slots?date=${date}`);
+    const { slots = [] } = await response.json();
+
+    let lastMinutes = -Infinity;
+    for (const slot of slots) {
+      const [hours, minutes] = slot.time.split(':').map(Number);
+      if (!slot.available || hours * 60 + minutes - lastMinutes < 120) continue;
+      found.push({ date: date, time: slot.time });
+      lastMinutes = hours * 60 + minutes;
+      if (found.length === count) break;
+    }
+  }
+  return found;
+}
+
+function bookingRequest(slot, email) {
+  return {
+    selectedDate: slot.date,
+    selectedTime: slot.time,
+    userDetails: {
+      firstName: "Booking",
+      lastName: "Test",
+      email: email,
+      companyName: "Test Company",
+      revenue: "500,000 - 1M"
+    }
+  };
+}
+
+async function scheduleCall(body, headers = {}) {
+  const response = await fetch(`${BASE_URL}/api/schedule-discovery-call`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, data: await response.json() };
+}
+
+async function testBookings() {
+  console.log('🧪 Testing Booking Reservations...\n');
+
+  try {
+    const slots = await findOpenSlots(3);
+    if (slots.length < 3) {
+      console.log('❌ Need 3 open slots to run these checks');
+      process.exitCode = 1;
+      return;
+    }
+    const [concurrentSlot, heldSlot, idempotentSlot] = slots;
+
+    // Test 1: Only one of several concurrent requests gets the same slot
+    console.log(`1️⃣ Booking ${concurrentSlot.date} ${concurrentSlot.time} three times at once...`);
+    const concurrentResults = await Promise.all(
+      ['first', 'second', 'third'].map(name => scheduleCall(bookingRequest(concurrentSlot, `${name}.concurrent@example.com`)))
+    );
+    const statuses = concurrentResults.map(result => result.status).sort();
+    console.log(`   Statuses: ${statuses.join(', ')}`);
+    check('Exactly one request books the slot', statuses.filter(status => status === 200).length === 1, statuses);
+    check('The others get 409', statuses.filter(status => status === 409).length === 2, statuses);
+    console.log('');
+
+    // Test 2: A held slot can only be booked with its hold token
+    console.log(`2️⃣ Holding ${heldSlot.date} ${heldSlot.time}...`);
+    const holdResponse = await fetch(`${BASE_URL}/api/slot-holds`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ date: heldSlot.date, time: heldSlot.time })
+    });
+    const hold = await holdResponse.json();
+    check('Hold is placed (201)', holdResponse.status === 201 && Boolean(hold.holdToken), hold);
+
+    const otherVisitor = await scheduleCall(bookingRequest(heldSlot, 'other.visitor@example.com'));
+    check('Another visitor gets 409 "On hold"', otherVisitor.status === 409 && otherVisitor.data.reason === 'On hold', otherVisitor.data);
+
+    const holder = await scheduleCall({ ...bookingRequest(heldSlot, 'holder@example.com'), holdToken: hold.holdToken });
+    check('The holder books the slot with the hold token', holder.status === 200 && holder.data.success, holder.data);
+
+    const releasedHold = await fetch(`${BASE_URL}/api/slot-holds/${hold.holdToken}`);
+    check('The hold is used up by the booking (404)', releasedHold.status === 404, releasedHold.status);
+    console.log('');
+
+    // Test 3: Retrying with the same Idempotency-Key replays the first response
+    console.log(`3️⃣ Booking ${idempotentSlot.date} ${idempotentSlot.time} with an Idempotency-Key...`);
+    const idempotencyKey = `test-bookings-${Date.now()}`;
+    const body = bookingRequest(idempotentSlot, 'idempotent@example.com');
+    const first = await scheduleCall(body, { 'Idempotency-Key': idempotencyKey });
+    check('First request books the slot', first.status === 200 && first.data.success, first.data);
+
+    const replay = await scheduleCall(body, { 'Idempotency-Key': idempotencyKey });
+    check('Retry is replayed with the same booking', replay.status === 200 && replay.data.bookingId === first.data.bookingId, replay.data);
+    check('Retry has the Idempotent-Replayed header', replay.headers.get('idempotent-replayed') === 'true');
+
+    const changed = await scheduleCall(
+      { ...body, userDetails: { ...body.userDetails, companyName: "Another Company" } },
+      { 'Idempotency-Key': idempotencyKey }
+    );
+    check('Same key with a different body gets 422', changed.status === 422, changed.data);
+    console.log('');
+
+    console.log(failures === 0 ? '🎉 All booking checks passed!' : `❌ ${failures} booking check(s) failed`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error.message);
+  }
+
+  if (failures > 0) process.exitCode = 1;
+}
+
+// Run the test
+testBookings();
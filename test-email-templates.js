@@ -0,0 +1,80 @@
+// test-email-templates.js - Checks that email templates escape client-supplied values
+// Needs the server's ADMIN_API_KEY: ADMIN_API_KEY=... node test-email-templates.js
+import fetch from 'node-fetch';
+
+const BASE_URL = 'http://localhost:5000';
+
+let failures = 0;
+function check(label, passed, details) {
+  if (passed) {
+    console.log(`   ✅ ${label}`);
+  } else {
+    failures++;
+    console.log(`   ❌ ${label}`, details === undefined ? '' : details);
+  }
+}
+
+// What a prospect could type into the booking form
+const injectedData = {
+  userDetails: {
+    firstName: '<b>Evil</b>',
+    lastName: '<script>alert(1)</script>',
+    email: 'evil@example.com',
+    companyName: '<a href="https://phish.example">Click here</a>',
+    revenue: '"><img src=x onerror=alert(1)>'
+  },
+  guestEmails: ['<i>guest</i>@example.com'],
+  meetingLink: 'javascript:alert(1)'
+};
+
+async function previewTemplate(name) {
+  const response = await fetch(`${BASE_URL}/api/admin/email-templates/${name}/preview`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Admin-Key': process.env.ADMIN_API_KEY || ''
+    },
+    body: JSON.stringify({ data: injectedData })
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+async function testEmailTemplates() {
+  console.log('🧪 Testing Email Template Escaping...\n');
+
+  if (!process.env.ADMIN_API_KEY) {
+    console.log('❌ Set ADMIN_API_KEY to the server\'s admin key to run these checks');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const templates = ['organizer-booked', 'admin-booked'];
+    for (const [index, name] of templates.entries()) {
+      console.log(`${index + 1}️⃣ Rendering ${name} with markup in the client's details...`);
+      const { status, data } = await previewTemplate(name);
+      check('Preview renders (200)', status === 200, data);
+      if (status !== 200) continue;
+
+      check('Markup in names is escaped', data.html.includes('&lt;b&gt;Evil&lt;/b&gt;') && !data.html.includes('<b>Evil'));
+      check('Script tags are escaped', data.html.includes('&lt;script&gt;') && !data.html.includes('<script>'));
+      check('Injected links are escaped', !data.html.includes('<a href="https://phish.example"'));
+      check('Attribute breakouts are escaped', !data.html.includes('<img src=x'));
+      check('Guest emails are escaped', data.html.includes('&lt;i&gt;guest&lt;/i&gt;'));
+      check('javascript: meeting link is dropped', !/javascript:/i.test(data.html));
+      check('A plain-text part is rendered', typeof data.text === 'string' && data.text.includes('Evil') && !data.text.includes('<p>'));
+      check('Subject is a single line', !/[\r\n]/.test(data.subject), data.subject);
+      console.log('');
+    }
+
+    console.log(failures === 0 ? '🎉 All template checks passed!' : `❌ ${failures} template check(s) failed`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error.message);
+  }
+
+  if (failures > 0) process.exitCode = 1;
+}
+
+// Run the test
+testEmailTemplates();
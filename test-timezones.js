@@ -0,0 +1,94 @@
+// test-timezones.js - Checks for visitor time zones, including daylight saving changes
+// Uses next year's US clock changes, so the dates never go stale
+import fetch from 'node-fetch';
+
+const BASE_URL = 'http://localhost:5000';
+const VISITOR_TIMEZONE = 'America/New_York';
+
+let failures = 0;
+function check(label, passed, details) {
+  if (passed) {
+    console.log(`   ✅ ${label}`);
+  } else {
+    failures++;
+    console.log(`   ❌ ${label}`, details === undefined ? '' : details);
+  }
+}
+
+// The nth Sunday of a month (month is 1-12) as YYYY-MM-DD
+function nthSunday(year, month, n) {
+  const first = new Date(Date.UTC(year, month - 1, 1));
+  const day = 1 + ((7 - first.getUTCDay()) % 7) + (n - 1) * 7;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+async function checkAvailability(date, time, timezone = VISITOR_TIMEZONE) {
+  const response = await fetch(`${BASE_URL}/api/check-availability?date=${date}&time=${encodeURIComponent(time)}&timezone=${encodeURIComponent(timezone)}`);
+  return { status: response.status, data: await response.json() };
+}
+
+async function testTimezones() {
+  console.log('🧪 Testing Visitor Time Zones...\n');
+
+  const year = new Date().getUTCFullYear() + 1;
+  const springForward = nthSunday(year, 3, 2); // US clocks go from 2:00 to 3:00 AM
+  const fallBack = nthSunday(year, 11, 1); // US clocks go from 2:00 back to 1:00 AM
+
+  try {
+    // Test 1: The same visitor time maps to different business times either side of a clock change
+    console.log(`1️⃣ Converting 9:00 AM New York time around ${springForward}...`);
+    const beforeChange = await checkAvailability(addDays(springForward, -6), '09:00');
+    const afterChange = await checkAvailability(addDays(springForward, 1), '09:00');
+    console.log(`   EST: ${beforeChange.data.slot?.start} | EDT: ${afterChange.data.slot?.start}`);
+    check('Before the change (EST, GMT-5) it is 7:30 PM in Asia/Kolkata', beforeChange.data.slot?.time === '19:30', beforeChange.data);
+    check('After the change (EDT, GMT-4) it is 6:30 PM in Asia/Kolkata', afterChange.data.slot?.time === '18:30', afterChange.data);
+    check('The visitor view keeps the requested time', afterChange.data.slot?.visitor?.time === '09:00' &&
+      afterChange.data.slot?.visitor?.start.endsWith('-04:00'), afterChange.data.slot);
+    console.log('');
+
+    // Test 2: A local time skipped by the clocks going forward is rejected
+    console.log(`2️⃣ Checking 2:30 AM New York time on ${springForward}...`);
+    const skipped = await checkAvailability(springForward, '2:30 AM');
+    check('Nonexistent local time gets 400', skipped.status === 400 && skipped.data.reason === 'Nonexistent local time', skipped.data);
+    console.log('');
+
+    // Test 3: A local time repeated by the clocks going back resolves to its first occurrence
+    console.log(`3️⃣ Checking 1:30 AM New York time on ${fallBack}...`);
+    const repeated = await checkAvailability(fallBack, '01:30');
+    check('Repeated local time uses the earlier (EDT) instant', repeated.data.slot?.visitor?.start.endsWith('-04:00') &&
+      repeated.data.slot?.time === '11:00', repeated.data.slot);
+    console.log('');
+
+    // Test 4: Slot lists carry the visitor's local times
+    console.log('4️⃣ Listing slots with a visitor timezone...');
+    const slotsResponse = await fetch(`${BASE_URL}/api/available-slots?date=${addDays(springForward, 1)}&timezone=${encodeURIComponent(VISITOR_TIMEZONE)}`);
+    const slotsData = await slotsResponse.json();
+    const firstSlot = slotsData.slots?.[0];
+    check('Slots include the visitor time', firstSlot?.visitor?.timezone === VISITOR_TIMEZONE, firstSlot);
+    console.log('');
+
+    // Test 5: Bad input is rejected instead of guessed
+    console.log('5️⃣ Checking invalid time zones and dates...');
+    const unknownZone = await checkAvailability(addDays(springForward, 1), '09:00', 'Mars/Olympus_Mons');
+    check('Unknown timezone gets 400', unknownZone.status === 400, unknownZone.data);
+    const impossibleDate = await checkAvailability(`${year}-02-30`, '09:00');
+    check('Date that does not exist gets 400', impossibleDate.status === 400, impossibleDate.data);
+    console.log('');
+
+    console.log(failures === 0 ? '🎉 All timezone checks passed!' : `❌ ${failures} timezone check(s) failed`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error.message);
+  }
+
+  if (failures > 0) process.exitCode = 1;
+}
+
+// Run the test
+testTimezones();